@@ -0,0 +1,175 @@
+/**
+ * Jello Audio - procedural jiggle sounds from the live spring state
+ *
+ * Nothing is prerecorded. Three voices, all synthesised with Web Audio:
+ *
+ *   wobble   a low hum at the squash mode's natural frequency (scaled up
+ *            into hearing range), bending with the squash itself and as
+ *            loud as the springs are fast
+ *   squelch  band-passed noise, loud while energy is going into the
+ *            springs (pokes, drags, shakes) and quiet once it's draining
+ *   plop     a short falling blip, for spoonfuls coming out and landing
+ *
+ * Browsers only allow audio after a user gesture, so the AudioContext is
+ * created by start() - call it from the first pointer or key event.
+ */
+
+const PITCH_SCALE = 120;          // Squash frequency (Hz, ~1) to hum pitch
+const PITCH_BEND = 0.15;          // Pitch change per unit of squash
+const WOBBLE_LEVEL = 0.35;
+const WOBBLE_FULL_SPEED = 6;      // Summed spring speed for a full-volume wobble
+const SQUELCH_LEVEL = 0.5;
+const SQUELCH_FULL_RATE = 40;     // Energy going in per second for a full squelch
+const SMOOTHING = 0.03;           // Seconds - time constant for level and pitch changes
+
+export class JelloAudio {
+    constructor(config = {}) {
+        this.volume = config.volume !== undefined ? config.volume : 0.6;
+        this.muted = config.muted || false;
+
+        this.context = null;      // Created by start()
+        this.lastEnergy = 0;
+    }
+
+    get started() {
+        return this.context !== null;
+    }
+
+    /**
+     * Set up the audio graph - only from a user gesture
+     */
+    start() {
+        if (this.context) {
+            if (this.context.state === 'suspended') this.context.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('⚠️ Web Audio not supported - no jiggle sounds');
+            return;
+        }
+
+        const context = new AudioContextClass();
+        this.context = context;
+
+        this.master = context.createGain();
+        this.master.gain.value = this.muted ? 0 : this.volume;
+        this.master.connect(context.destination);
+
+        // Wobble: triangle hum, softened by a resonant lowpass
+        this.wobbleOscillator = context.createOscillator();
+        this.wobbleOscillator.type = 'triangle';
+        this.wobbleOscillator.frequency.value = PITCH_SCALE;
+
+        const wobbleFilter = context.createBiquadFilter();
+        wobbleFilter.type = 'lowpass';
+        wobbleFilter.frequency.value = 500;
+        wobbleFilter.Q.value = 4;
+
+        this.wobbleGain = context.createGain();
+        this.wobbleGain.gain.value = 0;
+
+        this.wobbleOscillator.connect(wobbleFilter).connect(this.wobbleGain).connect(this.master);
+        this.wobbleOscillator.start();
+
+        // Squelch: looping white noise through a band-pass that opens up with the level
+        const noise = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+        const noiseSource = context.createBufferSource();
+        noiseSource.buffer = noise;
+        noiseSource.loop = true;
+
+        this.squelchFilter = context.createBiquadFilter();
+        this.squelchFilter.type = 'bandpass';
+        this.squelchFilter.frequency.value = 400;
+        this.squelchFilter.Q.value = 3;
+
+        this.squelchGain = context.createGain();
+        this.squelchGain.gain.value = 0;
+
+        noiseSource.connect(this.squelchFilter).connect(this.squelchGain).connect(this.master);
+        noiseSource.start();
+
+        console.log('🔊 Jello audio started');
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.applyVolume();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume();
+    }
+
+    applyVolume() {
+        if (!this.context) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.context.currentTime, SMOOTHING);
+    }
+
+    /**
+     * Once per frame. springSets: the { tiltX, tiltZ, squash, twist }
+     * springs of every wobbling thing; stiffness: the current stiffness
+     * per mode (firmness scaled by the gel).
+     */
+    update(delta, springSets, stiffness) {
+        if (!this.context || delta <= 0) return;
+
+        let speed = 0;
+        let energy = 0;
+        let squash = 0;
+        for (const springs of springSets) {
+            for (const name in springs) {
+                const { position, velocity } = springs[name];
+                speed += Math.abs(velocity);
+                energy += 0.5 * (velocity * velocity + stiffness[name] * position * position);
+            }
+            // The most squashed one bends the pitch
+            if (Math.abs(springs.squash.position) > Math.abs(squash)) squash = springs.squash.position;
+        }
+
+        const now = this.context.currentTime;
+
+        // Pitch from the squash mode's natural frequency
+        const frequency = Math.sqrt(stiffness.squash) / (2 * Math.PI);
+        const pitch = frequency * PITCH_SCALE * Math.max(1 + squash * PITCH_BEND, 0.5);
+        this.wobbleOscillator.frequency.setTargetAtTime(pitch, now, SMOOTHING);
+        this.wobbleGain.gain.setTargetAtTime(Math.min(speed / WOBBLE_FULL_SPEED, 1) * WOBBLE_LEVEL, now, SMOOTHING);
+
+        // Squelch while energy is being put in
+        const rising = Math.max(energy - this.lastEnergy, 0) / delta;
+        const squelch = Math.min(rising / SQUELCH_FULL_RATE, 1);
+        this.squelchGain.gain.setTargetAtTime(squelch * SQUELCH_LEVEL, now, SMOOTHING * 2);
+        this.squelchFilter.frequency.setTargetAtTime(300 + squelch * 1500, now, SMOOTHING);
+        this.lastEnergy = energy;
+    }
+
+    /**
+     * One short plop - strength 0..1
+     */
+    plop(strength = 1) {
+        if (!this.context) return;
+
+        const context = this.context;
+        const now = context.currentTime;
+        const level = Math.min(Math.max(strength, 0), 1) * 0.6;
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(700, now);
+        oscillator.frequency.exponentialRampToValueAtTime(120, now + 0.12);
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(Math.max(level, 0.0001), now + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.18);
+
+        oscillator.connect(gain).connect(this.master);
+        oscillator.start(now);
+        oscillator.stop(now + 0.2);
+    }
+}
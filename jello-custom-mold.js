@@ -0,0 +1,184 @@
+/**
+ * Jello Custom Mold - a mold (jello-molds.js) from an uploaded SVG
+ *
+ * The biggest filled shape in the SVG is used one of two ways:
+ *   'lathe'    a side view, spun round the axis - its half-width at each
+ *              height becomes the profile, so a lopsided drawing comes
+ *              out even
+ *   'extrude'  a top view, stood up as (slightly tapered) walls
+ *
+ * Either way it's scaled to stand on the plate like the built-in molds:
+ * base on y = -1, no further out than MAX_REACH and no taller than
+ * MAX_HEIGHT. Shapes that couldn't stand there, or hold together as jello,
+ * are turned down with an Error saying why. Holes inside the shape are
+ * ignored. The mesh gets its vertical segments from jello-mold-geometry.js,
+ * like every other mold.
+ *
+ * moldFromSvg() needs the DOM (SVGLoader parses with DOMParser);
+ * moldFromSilhouette() and moldFromOutline() take plain [x, y] points as
+ * drawn in the SVG (y down).
+ */
+
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js';
+import { MOLD_BASE_Y, outlineReach } from './jello-molds.js';
+
+const MAX_REACH = 1.7;          // Furthest from the axis - the star's points, well inside the plate
+const MAX_HEIGHT = 2;           // The classic cup
+const MIN_HEIGHT = 0.5;         // Flatter than this is a puddle, not a jello
+const MIN_WIDTH = 0.2;          // Narrowest neck or arm that holds together
+const MIN_BASE_SHARE = 0.4;     // Base against the widest part - narrower would topple
+const EXTRUDE_HEIGHT = 1.4;
+const EXTRUDE_TAPER = 0.95;     // Top against the base, like a brick mold
+const PROFILE_LEVELS = 24;      // Heights the side view is measured at
+const CURVE_DIVISIONS = 12;     // Points per SVG curve segment
+const MIN_SPACING = 0.01;       // Closer points (share of the shape's size) are merged
+
+// Signed area of a polygon - positive when counter-clockwise (y up)
+function polygonArea(points) {
+    let area = 0;
+    points.forEach(([x, y], i) => {
+        const [nx, ny] = points[(i + 1) % points.length];
+        area += x * ny - nx * y;
+    });
+    return area / 2;
+}
+
+// Drop points too close to the one before (SVG paths often repeat their start)
+function tidyPoints(points) {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+
+    const tidy = [];
+    for (const point of points) {
+        const last = tidy[tidy.length - 1];
+        if (!last || Math.hypot(point[0] - last[0], point[1] - last[1]) > size * MIN_SPACING) tidy.push(point);
+    }
+    while (tidy.length > 1 &&
+           Math.hypot(tidy[0][0] - tidy[tidy.length - 1][0], tidy[0][1] - tidy[tidy.length - 1][1]) <= size * MIN_SPACING) {
+        tidy.pop();
+    }
+
+    if (tidy.length < 3 || Math.abs(polygonArea(tidy)) < 1e-9) {
+        throw new Error('The shape has no inside - draw a closed, filled shape');
+    }
+    return tidy;
+}
+
+// Where a horizontal line at y crosses the polygon: [left, right] or null
+function widthAt(points, y) {
+    let left = Infinity;
+    let right = -Infinity;
+    points.forEach(([x0, y0], i) => {
+        const [x1, y1] = points[(i + 1) % points.length];
+        if ((y < y0 && y < y1) || (y > y0 && y > y1) || y0 === y1) return;
+        const x = x0 + (x1 - x0) * ((y - y0) / (y1 - y0));
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+    });
+    return left <= right ? [left, right] : null;
+}
+
+/**
+ * Lathe mold from a side view: points as drawn (y down), closed
+ */
+export function moldFromSilhouette(points, label = 'Custom') {
+    const shape = tidyPoints(points);
+    const ys = shape.map(([, y]) => y);
+    const top = Math.min(...ys);     // y down: the top is the smallest
+    const bottom = Math.max(...ys);
+
+    // Half-width at each height, from the base up (just inside the ends, so
+    // flat tops and bottoms are measured rather than grazed)
+    const halfWidths = [];
+    for (let i = 0; i <= PROFILE_LEVELS; i++) {
+        const t = Math.min(Math.max(i / PROFILE_LEVELS, 1e-3), 1 - 1e-3);
+        const span = widthAt(shape, bottom + (top - bottom) * t);
+        halfWidths.push(span ? (span[1] - span[0]) / 2 : 0);
+    }
+
+    const widest = Math.max(...halfWidths);
+    const scale = Math.min(MAX_REACH / widest, MAX_HEIGHT / (bottom - top));
+    const height = (bottom - top) * scale;
+
+    if (height < MIN_HEIGHT) throw new Error('The shape is too flat to stand up as a jello');
+    if (halfWidths[0] < widest * MIN_BASE_SHARE) throw new Error('The bottom is too narrow for it to stand on the plate');
+    if (Math.min(...halfWidths) * 2 * scale < MIN_WIDTH) throw new Error('It pinches in too thin to hold together');
+
+    const profile = [[0, MOLD_BASE_Y]];
+    halfWidths.forEach((halfWidth, i) => {
+        profile.push([halfWidth * scale, MOLD_BASE_Y + height * (i / PROFILE_LEVELS)]);
+    });
+    profile.push([0, MOLD_BASE_Y + height]);
+
+    return { label, height, profile };
+}
+
+/**
+ * Extruded mold from a top view: points as drawn (y down = towards the
+ * front), closed. It's swept around its middle, so every direction from
+ * there has to cross the outline only once.
+ */
+export function moldFromOutline(points, label = 'Custom') {
+    const shape = tidyPoints(points);
+
+    // Middle: the centroid
+    const area = polygonArea(shape);
+    let cx = 0;
+    let cy = 0;
+    shape.forEach(([x, y], i) => {
+        const [nx, ny] = shape[(i + 1) % shape.length];
+        const cross = x * ny - nx * y;
+        cx += (x + nx) * cross;
+        cy += (y + ny) * cross;
+    });
+    cx /= 6 * area;
+    cy /= 6 * area;
+
+    // Seen all round from the middle: every edge turns the same way about it
+    const centred = shape.map(([x, y]) => [x - cx, y - cy]);
+    const visible = centred.every(([x, y], i) => {
+        const [nx, ny] = centred[(i + 1) % centred.length];
+        return (x * ny - nx * y) * Math.sign(area) > 0;
+    });
+    if (!visible) throw new Error('The outline folds back on itself - it has to be seen all round from its middle');
+
+    const reach = Math.max(...centred.map(([x, y]) => Math.hypot(x, y)));
+    const outline = centred.map(([x, y]) => [x / reach, y / reach]);
+
+    let narrowest = Infinity;
+    for (let i = 0; i < 64; i++) {
+        narrowest = Math.min(narrowest, outlineReach({ outline }, (i / 64) * Math.PI * 2));
+    }
+    if (narrowest * MAX_REACH * EXTRUDE_TAPER < MIN_WIDTH / 2) throw new Error('It is too thin in places to hold together');
+
+    const top = MOLD_BASE_Y + EXTRUDE_HEIGHT;
+    return {
+        label,
+        height: EXTRUDE_HEIGHT,
+        profile: [[0, MOLD_BASE_Y], [MAX_REACH, MOLD_BASE_Y], [MAX_REACH * EXTRUDE_TAPER, top], [0, top]],
+        outline
+    };
+}
+
+/**
+ * A mold from the text of an SVG file. mode: 'lathe' or 'extrude'
+ */
+export function moldFromSvg(text, mode, label = 'Custom') {
+    let biggest = null;
+    let biggestArea = 0;
+
+    for (const path of new SVGLoader().parse(text).paths) {
+        for (const shape of SVGLoader.createShapes(path)) {
+            const points = shape.getPoints(CURVE_DIVISIONS).map(point => [point.x, point.y]);
+            const area = points.length >= 3 ? Math.abs(polygonArea(points)) : 0;
+            if (area > biggestArea) {
+                biggest = points;
+                biggestArea = area;
+            }
+        }
+    }
+
+    if (!biggest) throw new Error('No filled shape found in the SVG');
+    return mode === 'extrude' ? moldFromOutline(biggest, label) : moldFromSilhouette(biggest, label);
+}
@@ -0,0 +1,85 @@
+/**
+ * Jello Firmness - named profiles for how set the jello is
+ *
+ * A profile sets everything that makes a jello feel soft or firm:
+ *
+ *   stiffness        wobble spring stiffness per mode (tiltX, tiltZ, squash, twist)
+ *   damping          per second, how quickly the wobble dies down
+ *   impulseStrength  how far the same poke or fling moves it
+ *   maxDeformation   furthest any wobble mode can go (spring units)
+ *   lattice          stiffness multiplier for the soft-body lattice
+ *   pokeCap          strongest poke a long press or fast swipe can give
+ *                    (pokeImpulse strength) - a firm jello takes less
+ *
+ * Switching profiles blends between them (see JelloWobble.setFirmness),
+ * so a wobble in progress carries over instead of jumping.
+ */
+
+export const FIRMNESS_PRESETS = {
+    barelySet: {
+        label: 'Barely set',
+        stiffness: { tiltX: 12, tiltZ: 12, squash: 22, twist: 8 },
+        damping: 1.2,
+        impulseStrength: 1.25,
+        maxDeformation: 2.2,
+        lattice: 0.6,
+        pokeCap: 2.5
+    },
+    classic: {
+        label: 'Classic',
+        stiffness: { tiltX: 25, tiltZ: 25, squash: 45, twist: 15 },
+        damping: 1.83,  // Same decay as the old 0.97 per 60 Hz frame
+        impulseStrength: 1,
+        maxDeformation: 1.5,
+        lattice: 1,
+        pokeCap: 2
+    },
+    firm: {
+        label: 'Firm',
+        stiffness: { tiltX: 45, tiltZ: 45, squash: 80, twist: 28 },
+        damping: 2.6,
+        impulseStrength: 0.75,
+        maxDeformation: 1.0,
+        lattice: 1.3,
+        pokeCap: 1.6
+    },
+    jelloShot: {
+        label: 'Jello shot',
+        stiffness: { tiltX: 70, tiltZ: 70, squash: 120, twist: 40 },
+        damping: 3.5,
+        impulseStrength: 0.55,
+        maxDeformation: 0.7,
+        lattice: 1.5,
+        pokeCap: 1.3
+    }
+};
+
+export const DEFAULT_FIRMNESS = 'classic';
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Limits can be unlimited (Infinity): loosening to none is immediate,
+// tightening from none waits for the end of the blend
+const lerpLimit = (a, b, t) => {
+    if (!Number.isFinite(b)) return b;
+    if (!Number.isFinite(a)) return t < 1 ? a : b;
+    return lerp(a, b, t);
+};
+
+/**
+ * Firmness values part way (t = 0..1) from one profile to another
+ */
+export function blendFirmness(from, to, t) {
+    const stiffness = {};
+    for (const name in to.stiffness) {
+        stiffness[name] = lerp(from.stiffness[name], to.stiffness[name], t);
+    }
+
+    return {
+        stiffness,
+        damping: lerp(from.damping, to.damping, t),
+        impulseStrength: lerp(from.impulseStrength, to.impulseStrength, t),
+        maxDeformation: lerpLimit(from.maxDeformation, to.maxDeformation, t),
+        lattice: lerp(from.lattice, to.lattice, t)
+    };
+}
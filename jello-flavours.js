@@ -0,0 +1,74 @@
+/**
+ * Jello Flavours - the palette, and the tint the jello gives everything
+ *
+ * A flavour is a layer colour and opacity (see jello-layers.js) - picking
+ * one pours the whole jello in it. Whatever the layers are, their colours
+ * together give the jello's tint: which way its colour leans, [r, g, b]
+ * from 0 to 1 with the strongest channel at 1 and the weakest at 0. Cherry
+ * leans [1, 0, 0]; clear doesn't lean at all, [0, 0, 0]. The inner light
+ * and the glow and colour shift on embedded objects follow the tint.
+ */
+
+export const FLAVOURS = {
+    cherry: { label: 'Cherry', color: '#ff1a1a', opacity: 0.25 },
+    lime: { label: 'Lime', color: '#5fd12b', opacity: 0.25 },
+    blueberry: { label: 'Blueberry', color: '#3a4fd6', opacity: 0.3 },
+    orange: { label: 'Orange', color: '#ff8a14', opacity: 0.3 },
+    clear: { label: 'Clear', color: '#f4f8ff', opacity: 0.1 }
+};
+
+export const DEFAULT_FLAVOUR = 'cherry';
+
+const MIN_LEAN = 0.1;  // Channels closer than this (0-1) count as grey
+
+function parseColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
+
+/**
+ * The tint of a '#rrggbb' colour: [r, g, b], see above
+ */
+export function flavourTint(color) {
+    const channels = parseColor(color);
+    const max = Math.max(...channels);
+    const min = Math.min(...channels);
+    if (max - min < MIN_LEAN) return [0, 0, 0];
+    return channels.map(c => (c - min) / (max - min));
+}
+
+/**
+ * Channel multipliers that shift a colour `strength` towards a tint. For
+ * cherry that's the classic red shift: 1 + strength for red, 1 - strength / 2
+ * for green and blue. No shift at all for a tint that doesn't lean.
+ */
+export function tintScale(tint, strength) {
+    const mean = (tint[0] + tint[1] + tint[2]) / 3;
+    return tint.map(c => 1 + strength * 1.5 * (c - mean));
+}
+
+/**
+ * The flavour a layer stack is, if it's one layer of a flavour as poured
+ */
+export function flavourOf(layers) {
+    if (layers.length !== 1) return null;
+    const [layer] = layers;
+    const name = Object.keys(FLAVOURS).find(key =>
+        FLAVOURS[key].color === layer.color.toLowerCase() && FLAVOURS[key].opacity === layer.opacity);
+    return name || null;
+}
+
+/**
+ * The colour of a layer stack as a whole: each layer's colour by its
+ * thickness, as '#rrggbb'
+ */
+export function stackColor(layers) {
+    const total = layers.reduce((sum, layer) => sum + layer.thickness, 0);
+    const mixed = [0, 0, 0];
+    layers.forEach(layer => {
+        parseColor(layer.color).forEach((c, i) => {
+            mixed[i] += c * (layer.thickness / total);
+        });
+    });
+    return '#' + mixed.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+}
@@ -29,6 +29,7 @@
  * @property {Function} onProgress - Progress callback (message: string, percent: number)
  * @property {boolean} enableBackgroundRemoval - Remove background (default: true)
  * @property {boolean} enableJelloEffects - Apply jello tinting (default: true)
+ * @property {number[]} tint - Which way the jello's colour leans, [r, g, b] (default: cherry, [1, 0, 0])
  * @property {number} maxImageSize - Max image dimension in px (default: 1024)
  * @property {number} timeout - API timeout in ms (default: 30000)
  * @property {boolean} enableCache - Cache results (default: true)
@@ -46,6 +47,7 @@ class JelloImageAI {
         this.onProgress = options.onProgress || (() => {});
         this.enableBackgroundRemoval = options.enableBackgroundRemoval !== false;
         this.enableJelloEffects = options.enableJelloEffects !== false;
+        this.tint = options.tint || [1, 0, 0];
         this.maxImageSize = options.maxImageSize || 1024;
         this.timeout = options.timeout || 30000;
         this.enableCache = options.enableCache !== false;
@@ -241,7 +243,7 @@ class JelloImageAI {
                     },
                     {
                         type: 'text',
-                        text: `Analyze this image for the "Will It Jello?" project. The object will be embedded in translucent red jello and wobble when clicked.
+                        text: `Analyze this image for the "Will It Jello?" project. The object will be embedded in translucent ${this.tintName()} jello and wobble when clicked.
 
 Please provide a JSON response with:
 - objectName: Short name (2-4 words)
@@ -435,17 +437,47 @@ Respond ONLY with valid JSON, no other text.`
         }
     }
 
+    /**
+     * Channel multipliers that shift a colour `strength` towards the jello's
+     * tint (see jello-flavours.js) - for cherry, 1 + strength on red and
+     * 1 - strength / 2 on green and blue
+     */
+    tintScale(strength) {
+        const mean = (this.tint[0] + this.tint[1] + this.tint[2]) / 3;
+        return this.tint.map(c => 1 + strength * 1.5 * (c - mean));
+    }
+
+    /**
+     * A word for the jello's colour in prompts: its tint's hue, or 'clear'
+     * for a tint that doesn't lean (cherry gives 'red')
+     */
+    tintName() {
+        const [r, g, b] = this.tint;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max - min === 0) return 'clear';
+
+        const d = max - min;
+        let hue = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        hue = (hue * 60 + 360) % 360;
+
+        const names = [[20, 'red'], [45, 'orange'], [70, 'yellow'], [170, 'green'], [260, 'blue'], [320, 'purple']];
+        const found = names.find(([limit]) => hue < limit);
+        return found ? found[1] : 'red';
+    }
+
     /**
      * Apply subtle jello effects to image
      * @private
      */
     _applyJelloEffects(data) {
+        const [tr, tg, tb] = this.tintScale(0.05);
         for (let i = 0; i < data.length; i += 4) {
             if (data[i + 3] > 20) {  // Only visible pixels
-                // Very subtle red tint (not extreme like before)
-                data[i] = Math.min(255, data[i] * 1.05);      // 5% more red
-                data[i + 1] = data[i + 1] * 0.98;              // 2% less green
-                data[i + 2] = data[i + 2] * 0.98;              // 2% less blue
+                // Very subtle tint in the jello's colour (not extreme like before)
+                data[i] = Math.min(255, data[i] * tr);
+                data[i + 1] = Math.min(255, data[i + 1] * tg);
+                data[i + 2] = Math.min(255, data[i + 2] * tb);
 
                 // Slight contrast reduction
                 const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
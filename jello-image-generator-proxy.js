@@ -11,6 +11,7 @@ class JelloImageGenerator {
         this.generationService = options.generationService || 'replicate';
         this.timeout = options.timeout || 60000;
         this.enableJelloEffects = options.enableJelloEffects !== false;
+        this.tint = options.tint || [1, 0, 0];  // Which way the jello's colour leans (jello-flavours.js)
         this.onProgress = options.onProgress || (() => {});
 
         // NEW: Choose prompt strategy
@@ -243,31 +244,32 @@ distorted, deformed, cropped, out of frame, draft, amateur`;
     createJelloPrompt(detection) {
         const objectName = detection.objectName;
         const description = detection.detailedDescription;
+        const colour = this.tintName();
 
         // NEW APPROACH: Focus on EFFECTS, not literal embedding
         const positivePrompt = `${objectName}, ${description}.
 
 IMPORTANT: Show ONLY the object itself, isolated on pure white background (#FFFFFF).
 
-Apply these visual effects to make it look like it's viewed through translucent red jello:
-- Soft red ambient glow around the object (jello ambient lighting effect)
+Apply these visual effects to make it look like it's viewed through translucent ${colour} jello:
+- Soft ${colour} ambient glow around the object (jello ambient lighting effect)
 - Slight blur on edges (subtle jello distortion)
-- Gentle red color cast on the object (jello refraction effect)
+- Gentle ${colour} color cast on the object (jello refraction effect)
 - Soft focus, dreamlike quality (viewing through gelatin medium)
-- Atmospheric red lighting, warm glow
+- Atmospheric ${colour} lighting, warm glow
 
 CRITICAL - DO NOT CREATE:
 - NO visible jello container, bubble, or sphere around object
 - NO transparent capsule or dome
 - NO jello mass or structure visible
-- The object should appear as if photographed THROUGH red jello, but NO jello structure visible
+- The object should appear as if photographed THROUGH ${colour} jello, but NO jello structure visible
 
-Style: Professional product photography with red gel filter effect.
-Lighting: Soft studio lighting with warm red glow, atmospheric.
+Style: Professional product photography with ${colour} gel filter effect.
+Lighting: Soft studio lighting with warm ${colour} glow, atmospheric.
 Composition: Centered, ${detection.viewAngle || '3/4 angle'}, isolated on pure white background.
-Effects: Subtle red color cast, soft edges, dreamlike quality, slight blur.
+Effects: Subtle ${colour} color cast, soft edges, dreamlike quality, slight blur.
 
-Think: Object photographed through red-tinted glass or filter, NOT object inside jello container.`;
+Think: Object photographed through ${colour}-tinted glass or filter, NOT object inside jello container.`;
 
         const negativePrompt = `jello bubble, visible jello container, sphere around object, transparent sphere,
 jello mass visible, gelatin structure, encasing visible, capsule, dome,
@@ -279,7 +281,7 @@ cartoon, illustration, low quality, blurry beyond recognition`;
 
         console.log('🎯 Refined jello prompt created (V3.1 - No Bubble):');
         console.log('   ✅ Effects-based (no literal jello)');
-        console.log('   ✅ Soft red ambient glow');
+        console.log(`   ✅ Soft ${colour} ambient glow`);
         console.log('   ✅ Dreamlike quality');
         console.log('   ⚠️  NO bubble/sphere/container');
         console.log('   ✅ Pure white background');
@@ -532,6 +534,35 @@ blurry, low quality, distorted, cartoon, illustration`;
         });
     }
 
+    /**
+     * Channel multipliers that shift a colour `strength` towards the jello's
+     * tint (see jello-flavours.js) - for cherry, 1 + strength on red and
+     * 1 - strength / 2 on green and blue
+     */
+    tintScale(strength) {
+        const mean = (this.tint[0] + this.tint[1] + this.tint[2]) / 3;
+        return this.tint.map(c => 1 + strength * 1.5 * (c - mean));
+    }
+
+    /**
+     * A word for the jello's colour in prompts: its tint's hue, or 'clear'
+     * for a tint that doesn't lean (cherry gives 'red')
+     */
+    tintName() {
+        const [r, g, b] = this.tint;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max - min === 0) return 'clear';
+
+        const d = max - min;
+        let hue = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        hue = (hue * 60 + 360) % 360;
+
+        const names = [[20, 'red'], [45, 'orange'], [70, 'yellow'], [170, 'green'], [260, 'blue'], [320, 'purple']];
+        const found = names.find(([limit]) => hue < limit);
+        return found ? found[1] : 'red';
+    }
+
     /**
      * Process generated image for jello (apply effects based on strategy)
      */
@@ -558,13 +589,14 @@ blurry, low quality, distorted, cartoon, illustration`;
 
                     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
                     const data = imageData.data;
+                    const [tr, tg, tb] = this.tintScale(0.08);
 
                     for (let i = 0; i < data.length; i += 4) {
                         if (data[i + 3] > 20) {
-                            // Strong red tint for jello effect
-                            data[i] = Math.min(255, data[i] * 1.08);
-                            data[i + 1] = data[i + 1] * 0.96;
-                            data[i + 2] = data[i + 2] * 0.96;
+                            // Strong tint in the jello's colour
+                            data[i] = Math.min(255, data[i] * tr);
+                            data[i + 1] = Math.min(255, data[i + 1] * tg);
+                            data[i + 2] = Math.min(255, data[i + 2] * tb);
 
                             // Contrast reduction for soft look
                             const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
@@ -573,8 +605,10 @@ blurry, low quality, distorted, cartoon, illustration`;
                             data[i + 1] = avg + (data[i + 1] - avg) * contrastAmount;
                             data[i + 2] = avg + (data[i + 2] - avg) * contrastAmount;
 
-                            // Add warmth (red glow)
-                            data[i] = Math.min(255, data[i] + 5);
+                            // Add warmth (a glow in the jello's colour)
+                            data[i] = Math.min(255, data[i] + 5 * this.tint[0]);
+                            data[i + 1] = Math.min(255, data[i + 1] + 5 * this.tint[1]);
+                            data[i + 2] = Math.min(255, data[i + 2] + 5 * this.tint[2]);
                         }
                     }
 
@@ -599,8 +633,10 @@ blurry, low quality, distorted, cartoon, illustration`;
 
                     for (let i = 0; i < data.length; i += 4) {
                         if (data[i + 3] > 20) {
-                            // Just a tiny adjustment
-                            data[i] = Math.min(255, data[i] * 1.02);
+                            // Just a tiny adjustment towards the jello's colour
+                            data[i] = Math.min(255, data[i] * (1 + 0.02 * this.tint[0]));
+                            data[i + 1] = Math.min(255, data[i + 1] * (1 + 0.02 * this.tint[1]));
+                            data[i + 2] = Math.min(255, data[i + 2] * (1 + 0.02 * this.tint[2]));
                         }
                     }
 
@@ -613,13 +649,14 @@ blurry, low quality, distorted, cartoon, illustration`;
 
                     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
                     const data = imageData.data;
+                    const [tr, tg, tb] = this.tintScale(0.05);
 
                     for (let i = 0; i < data.length; i += 4) {
                         if (data[i + 3] > 20) {
-                            // Subtle red tint
-                            data[i] = Math.min(255, data[i] * 1.05);
-                            data[i + 1] = data[i + 1] * 0.98;
-                            data[i + 2] = data[i + 2] * 0.98;
+                            // Subtle tint in the jello's colour
+                            data[i] = Math.min(255, data[i] * tr);
+                            data[i + 1] = Math.min(255, data[i + 1] * tg);
+                            data[i + 2] = Math.min(255, data[i + 2] * tb);
 
                             // Slight contrast reduction
                             const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
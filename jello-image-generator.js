@@ -38,6 +38,7 @@ class JelloImageGenerator {
      * @param {Function} config.onProgress - Progress callback
      * @param {number} config.timeout - Generation timeout in ms (default: 60000)
      * @param {boolean} config.enableJelloEffects - Apply jello tinting (default: true)
+     * @param {number[]} config.tint - Which way the jello's colour leans, [r, g, b] (default: cherry, [1, 0, 0])
      */
     constructor(config = {}) {
         this.claudeKey = config.claudeKey || '';
@@ -48,6 +49,7 @@ class JelloImageGenerator {
         this.onProgress = config.onProgress || (() => {});
         this.timeout = config.timeout || 60000;
         this.enableJelloEffects = config.enableJelloEffects !== false;
+        this.tint = config.tint || [1, 0, 0];
 
         // Polling config
         this.maxPollAttempts = 60;
@@ -380,6 +382,16 @@ Respond ONLY with valid JSON.`
         return dataUrl;
     }
 
+    /**
+     * Channel multipliers that shift a colour `strength` towards the jello's
+     * tint (see jello-flavours.js) - for cherry, 1 + strength on red and
+     * 1 - strength / 2 on green and blue
+     */
+    tintScale(strength) {
+        const mean = (this.tint[0] + this.tint[1] + this.tint[2]) / 3;
+        return this.tint.map(c => 1 + strength * 1.5 * (c - mean));
+    }
+
     /**
      * Process generated image for jello: apply effects and return data URL
      * @param {string} imageUrl - URL or data URL of generated image
@@ -405,13 +417,14 @@ Respond ONLY with valid JSON.`
                         // Apply subtle jello effects
                         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
                         const data = imageData.data;
+                        const [tr, tg, tb] = this.tintScale(0.05);
 
                         for (let i = 0; i < data.length; i += 4) {
                             if (data[i + 3] > 20) { // Only visible pixels
-                                // Subtle red tint
-                                data[i] = Math.min(255, data[i] * 1.05);      // 5% more red
-                                data[i + 1] = data[i + 1] * 0.98;              // 2% less green
-                                data[i + 2] = data[i + 2] * 0.98;              // 2% less blue
+                                // Subtle tint in the jello's colour (5%)
+                                data[i] = Math.min(255, data[i] * tr);
+                                data[i + 1] = Math.min(255, data[i + 1] * tg);
+                                data[i + 2] = Math.min(255, data[i + 2] * tb);
 
                                 // Slight contrast reduction
                                 const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
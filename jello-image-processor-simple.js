@@ -16,6 +16,9 @@ class JelloImageProcessor {
         this.proxyUrl = config.proxyUrl || 'http://localhost:3000/api';
         this.onProgress = config.onProgress || (() => {});
 
+        // Which way the jello's colour leans, [r, g, b] (jello-flavours.js)
+        this.tint = config.tint || [1, 0, 0];
+
         console.log('🎨 JelloImageProcessor initialized (SIMPLE MODE)');
         console.log('   No AI generation - just smart upload processing');
     }
@@ -237,6 +240,16 @@ class JelloImageProcessor {
         });
     }
 
+    /**
+     * Channel multipliers that shift a colour `strength` towards the jello's
+     * tint (see jello-flavours.js) - for cherry, 1 + strength on red and
+     * 1 - strength / 2 on green and blue
+     */
+    tintScale(strength) {
+        const mean = (this.tint[0] + this.tint[1] + this.tint[2]) / 3;
+        return this.tint.map(c => 1 + strength * 1.5 * (c - mean));
+    }
+
     /**
      * Apply SUBTLE, tasteful jello effects
      * Makes user's photo look nice in jello without overdoing it
@@ -258,6 +271,7 @@ class JelloImageProcessor {
                 const data = imageData.data;
 
                 // SUBTLE effects - tasteful, not overdone
+                const [tr, tg, tb] = this.tintScale(0.03);
                 for (let i = 0; i < data.length; i += 4) {
                     const alpha = data[i+3];
                     if (alpha === 0) continue;
@@ -266,10 +280,10 @@ class JelloImageProcessor {
                     const g = data[i+1];
                     const b = data[i+2];
 
-                    // Very subtle red tint (3% more red)
-                    data[i] = Math.min(255, r * 1.03);
-                    data[i+1] = g * 0.99;
-                    data[i+2] = b * 0.99;
+                    // Very subtle tint in the jello's colour (3%)
+                    data[i] = Math.min(255, r * tr);
+                    data[i+1] = Math.min(255, g * tg);
+                    data[i+2] = Math.min(255, b * tb);
 
                     // Tiny bit less contrast (more natural in jello)
                     const avg = (data[i] + data[i+1] + data[i+2]) / 3;
@@ -289,7 +303,7 @@ class JelloImageProcessor {
                 blurCtx.filter = 'blur(0.5px)';
                 blurCtx.drawImage(canvas, 0, 0);
 
-                console.log('   ✅ Effects applied: subtle red tint, soft edges');
+                console.log('   ✅ Effects applied: subtle tint, soft edges');
 
                 resolve(blurred.toDataURL('image/png'));
             };
@@ -0,0 +1,112 @@
+/**
+ * Jello Layers - stacked flavours, like a rainbow jello or a panna cotta
+ * base under a fruit top
+ *
+ * A layer is plain data (it's saved with the scene):
+ *
+ *   color      '#rrggbb'
+ *   opacity    how much of what's behind it is hidden - DEFAULT_OPACITY is
+ *              the classic see-through jello, 1 a panna cotta
+ *   thickness  share of the mold's height, against the other layers - so
+ *              the stack fills any mold
+ *
+ * listed from the plate up (the flavour palette is in jello-flavours.js).
+ * The jello shader picks the layer by rest-space height, so each layer
+ * stays with the gel it was poured as however the jello wobbles, and
+ * blends neighbours over LAYER_SOFTNESS either side of each boundary.
+ * layerWeights() is the same blend in JavaScript (and LAYER_GLSL the
+ * shader side); keep them in step.
+ */
+
+import { FLAVOURS, DEFAULT_FLAVOUR } from './jello-flavours.js';
+
+export const MAX_LAYERS = 4;
+export const LAYER_SOFTNESS = 0.04;  // Share of the height blended either side of a boundary
+export const DEFAULT_OPACITY = 0.25;
+
+// One layer of the default flavour (jello-flavours.js)
+export const DEFAULT_LAYERS = [{ color: FLAVOURS[DEFAULT_FLAVOUR].color, opacity: FLAVOURS[DEFAULT_FLAVOUR].opacity, thickness: 1 }];
+
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
+
+/**
+ * A usable copy of a saved layer list - anything missing or out of range
+ * falls back to the defaults
+ */
+export function sanitizeLayers(layers) {
+    if (!Array.isArray(layers) || layers.length === 0) return DEFAULT_LAYERS.map(layer => ({ ...layer }));
+
+    return layers.slice(0, MAX_LAYERS).map(layer => {
+        const { color, opacity, thickness } = layer || {};
+        return {
+            color: /^#[0-9a-f]{6}$/i.test(color) ? color : DEFAULT_LAYERS[0].color,
+            opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : DEFAULT_OPACITY,
+            thickness: Number.isFinite(thickness) && thickness > 0 ? thickness : 1
+        };
+    });
+}
+
+/**
+ * Where each layer ends, as a share of the height (the last one at 1)
+ */
+export function layerTops(layers) {
+    const total = layers.reduce((sum, layer) => sum + layer.thickness, 0);
+    let top = 0;
+    return layers.map(layer => {
+        top += layer.thickness / total;
+        return top;
+    });
+}
+
+/**
+ * How much of each layer shows at a height share (0 at the base, 1 at the
+ * top) - they add up to 1
+ */
+export function layerWeights(layers, height) {
+    const tops = layerTops(layers);
+    const weights = layers.map((layer, i) => (i === 0 ? 1 : 0));
+
+    for (let i = 1; i < layers.length; i++) {
+        const above = smoothstep(tops[i - 1] - LAYER_SOFTNESS, tops[i - 1] + LAYER_SOFTNESS, height);
+        for (let j = 0; j < i; j++) weights[j] *= 1 - above;
+        weights[i] = above;
+    }
+    return weights;
+}
+
+/**
+ * The layer that shows most at a height share
+ */
+export function layerAt(layers, height) {
+    const weights = layerWeights(layers, height);
+    return layers[weights.indexOf(Math.max(...weights))];
+}
+
+// Uniforms and function for the jello shaders - mirrors layerWeights().
+// vLayerHeight is the rest-space height share, set in the vertex shader.
+export const LAYER_GLSL = `
+    #define LAYER_COUNT ${MAX_LAYERS}
+    uniform vec3 layerColors[LAYER_COUNT];
+    uniform float layerOpacities[LAYER_COUNT];
+    uniform float layerTops[LAYER_COUNT];
+    uniform int layerCount;
+    varying float vLayerHeight;
+
+    // Colour and opacity of the gel at a height share
+    vec4 jelloLayer(float height) {
+        vec4 layer = vec4(layerColors[0], layerOpacities[0]);
+        for (int i = 1; i < LAYER_COUNT; i++) {
+            if (i >= layerCount) break;
+            float above = smoothstep(
+                layerTops[i - 1] - ${LAYER_SOFTNESS.toFixed(4)},
+                layerTops[i - 1] + ${LAYER_SOFTNESS.toFixed(4)},
+                height
+            );
+            layer = mix(layer, vec4(layerColors[i], layerOpacities[i]), above);
+        }
+        return layer;
+    }
+`;
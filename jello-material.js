@@ -0,0 +1,269 @@
+/**
+ * Jello Material - Three's physical material, deformed like the jello
+ *
+ * MeshPhysicalMaterial does the shading - every scene light, shadows,
+ * a clearcoat shine and tone mapping - and onBeforeCompile swaps its
+ * vertex positions for the jello's own deformation, and its normals for
+ * ones carried through the same deformation (so highlights and the
+ * see-through edges slide across the surface as it bends):
+ *
+ *   melting slump  gelDrop / gelSpread (sagPoint in jello-setting.js)
+ *   soft body      the per-vertex softOffset attribute, and softSlope -
+ *                  how that offset changes around the vertex
+ *   ripples        from recent impacts (jello-ripples.js)
+ *   wobble modes   tilt, squash and twist, growing with height
+ *
+ * The colour and opacity come from the layer stack (jello-layers.js), by
+ * rest height so the layers move with the gel. The surface is then laid
+ * over the refracted scene behind it (jello-transmission.js), more of it
+ * towards the edges and the more opaque the layer.
+ *
+ * Each material keeps its deformation uniforms in material.uniforms, like
+ * a ShaderMaterial would. Shadows use jelloDepthMaterial(), sharing them,
+ * so the shadow wobbles too.
+ */
+
+import * as THREE from 'three';
+import { JelloRipples, RIPPLE_GLSL } from './jello-ripples.js';
+import { TRANSMISSION_GLSL } from './jello-transmission.js';
+import { MAX_LAYERS, DEFAULT_LAYERS, LAYER_GLSL, layerTops } from './jello-layers.js';
+
+// Same for every jello material - shaders cache on this, see onBeforeCompile
+const DEFORM_GLSL = `
+    uniform vec2 wobbleTilt;
+    uniform float wobbleSquash;
+    uniform float wobbleTwist;
+    uniform float gelDrop;
+    uniform float gelSpread;
+    uniform float moldHeight;
+
+    attribute vec3 softOffset;
+    attribute mat3 softSlope;  // Columns: how softOffset changes with x, y and z
+
+    ${RIPPLE_GLSL}
+
+    // Deformed position, and the deformation's Jacobian (columns: how it
+    // moves with x, y and z) - each step's in turn, for the normals
+    vec3 jelloDeform(vec3 position, out mat3 jacobian) {
+        // Melting slump: lower the top, spread the base (sagPoint in jello-setting.js)
+        vec3 rest = position;
+        float restHeight = (rest.y + 1.0) / moldHeight;
+        float spread = 1.0 + gelSpread * (1.0 - 0.5 * restHeight);
+        float spreadSlope = -0.5 * gelSpread / moldHeight;
+        rest.xz *= spread;
+        rest.y = -1.0 + (rest.y + 1.0) * (1.0 - gelDrop);
+        jacobian = mat3(
+            spread, 0.0, 0.0,
+            position.x * spreadSlope, 1.0 - gelDrop, position.z * spreadSlope,
+            0.0, 0.0, spread
+        );
+
+        // Local soft-body displacement and ripples, then the global wobble modes.
+        // The soft body is bound to the unslumped position, so its slope adds
+        // on as it is. For the ripples the outward direction turns too, but
+        // slowly next to the wave's own slope
+        vec3 rippleSlope;
+        vec3 outward = rippleOutward(rest);
+        vec3 pos = rest + softOffset + outward * rippleOffset(rest, moldHeight, rippleSlope);
+        jacobian = (mat3(1.0) + mat3(outward * rippleSlope.x, outward * rippleSlope.y, outward * rippleSlope.z)) * jacobian + softSlope;
+
+        // Calculate height factor for the mold
+        // Base at y = -1, top at y = -1 + moldHeight
+        float heightFactor = (pos.y + 1.0) / moldHeight;  // 0 at bottom, 1 at top
+        float heightSlope = 2.0 * heightFactor / moldHeight;  // d/dy of the square below
+        heightFactor = heightFactor * heightFactor;  // Quadratic
+
+        // Apply wobble deformations
+        pos.x += wobbleTilt.x * heightFactor;
+        pos.z += wobbleTilt.y * heightFactor;
+        jacobian = mat3(
+            1.0, 0.0, 0.0,
+            wobbleTilt.x * heightSlope, 1.0, wobbleTilt.y * heightSlope,
+            0.0, 0.0, 1.0
+        ) * jacobian;
+
+        float squashScale = 1.0 + wobbleSquash * heightFactor;
+        float squashSlope = wobbleSquash * heightSlope;
+        jacobian = mat3(
+            squashScale, 0.0, 0.0,
+            pos.x * squashSlope, 1.0, pos.z * squashSlope,
+            0.0, 0.0, squashScale
+        ) * jacobian;
+        pos.x *= squashScale;
+        pos.z *= squashScale;
+
+        // Twist around the Y axis, more towards the top
+        float twistAngle = wobbleTwist * heightFactor;
+        float twistSlope = wobbleTwist * heightSlope;
+        float twistCos = cos(twistAngle);
+        float twistSin = sin(twistAngle);
+        pos.xz = vec2(
+            twistCos * pos.x + twistSin * pos.z,
+            -twistSin * pos.x + twistCos * pos.z
+        );
+        jacobian = mat3(
+            twistCos, 0.0, -twistSin,
+            pos.z * twistSlope, 1.0, -pos.x * twistSlope,
+            twistSin, 0.0, twistCos
+        ) * jacobian;
+
+        return pos;
+    }
+
+    // A normal carried through the deformation: the Jacobian's cofactor
+    // matrix (its inverse transpose, up to scale)
+    vec3 jelloNormal(mat3 jacobian, vec3 normal) {
+        mat3 cofactor = mat3(
+            cross(jacobian[1], jacobian[2]),
+            cross(jacobian[2], jacobian[0]),
+            cross(jacobian[0], jacobian[1])
+        );
+        return normalize(cofactor * normal);
+    }
+`;
+
+const SURFACE_GLSL = `
+    uniform float gelOpacity;
+
+    ${LAYER_GLSL}
+
+    ${TRANSMISSION_GLSL}
+`;
+
+function deformationUniforms() {
+    const ripples = new JelloRipples();  // None yet
+
+    return {
+        wobbleTilt: { value: new THREE.Vector2(0, 0) },  // Already scaled by TILT_REACH
+        wobbleSquash: { value: 0.0 },  // Already scaled by SQUASH_REACH
+        wobbleTwist: { value: 0.0 },  // Already scaled to radians at the top
+        gelDrop: { value: 0.0 },  // Melting slump, already scaled by SAG_DROP
+        gelSpread: { value: 0.0 },  // Already scaled by SAG_SPREAD
+        moldHeight: { value: 2.0 },  // The wobble grows over this (see jello-molds.js)
+        // Recent impacts - point these at the piece's own JelloRipples buffers
+        rippleImpacts: { value: ripples.impacts },
+        rippleTimes: { value: ripples.times },
+        rippleTime: { value: 0.0 }
+    };
+}
+
+/**
+ * Uniforms for a stack of layers (jello-layers.js) - one set can be shared
+ * by several materials. Refill with setLayerUniforms() when the layers change.
+ */
+export function createLayerUniforms(layers = DEFAULT_LAYERS) {
+    const uniforms = {
+        layerColors: { value: new Float32Array(MAX_LAYERS * 3) },  // Linear RGB
+        layerOpacities: { value: new Float32Array(MAX_LAYERS) },
+        layerTops: { value: new Float32Array(MAX_LAYERS) },
+        layerCount: { value: 1 }
+    };
+    setLayerUniforms(uniforms, layers);
+    return uniforms;
+}
+
+export function setLayerUniforms(uniforms, layers) {
+    const color = new THREE.Color();
+    const tops = layerTops(layers);
+
+    layers.forEach((layer, i) => {
+        color.set(layer.color).toArray(uniforms.layerColors.value, i * 3);
+        uniforms.layerOpacities.value[i] = layer.opacity;
+        uniforms.layerTops.value[i] = tops[i];
+    });
+    uniforms.layerCount.value = layers.length;
+}
+
+// Deformed positions in place of the material's own - and normals, for
+// shaders that light the surface
+function injectDeformation(shader, { normals = false } = {}) {
+    shader.vertexShader = shader.vertexShader.replace('#include <common>', `#include <common>\n${DEFORM_GLSL}`);
+
+    if (normals) {
+        // The normal comes first in Three's vertex shaders
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <beginnormal_vertex>', `
+                mat3 jelloJacobian;
+                vec3 jelloPosition = jelloDeform(position, jelloJacobian);
+                vec3 objectNormal = jelloNormal(jelloJacobian, normal);`)
+            .replace('#include <begin_vertex>', 'vec3 transformed = jelloPosition;');
+    } else {
+        shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
+            mat3 jelloJacobian;
+            vec3 transformed = jelloDeform(position, jelloJacobian);`);
+    }
+}
+
+/**
+ * A jello material. shared: uniforms used as they are - the transmission
+ * pass's, and the layers' (createLayerUniforms()) if they're shared too
+ */
+export function createJelloMaterial(shared = {}) {
+    const material = new THREE.MeshPhysicalMaterial({
+        color: 0xffffff,               // Each layer's colour, see jelloLayer()
+        emissive: 0xffffff,            // Light scattered inside the gel, tinted by the layer
+        emissiveIntensity: 0.2,
+        roughness: 0.15,
+        metalness: 0,
+        clearcoat: 1,
+        clearcoatRoughness: 0.1,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false  // CRITICAL for transparent objects
+    });
+
+    material.uniforms = {
+        ...deformationUniforms(),
+        gelOpacity: { value: 1.0 },  // Liquid gel is clearer
+        ...createLayerUniforms(),
+        ...shared
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, material.uniforms);
+        injectDeformation(shader, { normals: true });
+
+        // Layers go by the undeformed height, so they ride along with the gel
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying float vLayerHeight;')
+            .replace('#include <fog_vertex>', `#include <fog_vertex>
+                vLayerHeight = (position.y + 1.0) / moldHeight;`);
+
+        // Lit surface over the refracted scene: EVEN MORE TRANSPARENT - so
+        // objects show clearly, more opaque towards the edges (Fresnel)
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${SURFACE_GLSL}`)
+            .replace('#include <color_fragment>', `#include <color_fragment>
+                vec4 layer = jelloLayer(vLayerHeight);
+                diffuseColor.rgb *= layer.rgb;`)
+            .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+                totalEmissiveRadiance *= layer.rgb;`)
+            .replace('#include <dithering_fragment>', `#include <dithering_fragment>
+                vec3 viewDir = normalize(vViewPosition);
+                float fresnel = pow(1.0 - max(dot(viewDir, normal), 0.0), 3.0);
+                float surface = min(layer.a + fresnel * 0.2, 1.0) * gelOpacity;
+
+                // Whatever is behind, bent by the gel and a little tinted by it
+                vec3 tint = linearToOutputTexel(vec4(layer.rgb, 1.0)).rgb;
+                vec3 behind = transmittedLight(normal, viewDir) * mix(vec3(1.0), tint, 0.3 * gelOpacity);
+
+                gl_FragColor = vec4(mix(behind, gl_FragColor.rgb, surface), 1.0);`);
+    };
+
+    return material;
+}
+
+/**
+ * Depth material for a jello mesh's shadow (mesh.customDepthMaterial),
+ * following the material's deformation
+ */
+export function jelloDepthMaterial(material) {
+    const depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+
+    depthMaterial.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, material.uniforms);
+        injectDeformation(shader);
+    };
+
+    return depthMaterial;
+}
@@ -0,0 +1,165 @@
+/**
+ * Jello Mold Geometry - the jello mesh for a mold (see jello-molds.js)
+ *
+ * The profile is swept around the outline: every profile point becomes a
+ * ring of the outline scaled by its s, at its height. Sharp corners in
+ * either (the rim of a cup, the points of a star) get their own vertices
+ * on each side, so they stay crisp; points on the axis close the top and
+ * bottom as a fan.
+ *
+ * The vertex shader bends the jello by height, so sides are cut into
+ * short steps up the profile - flat tops and bases only need a few.
+ */
+
+import * as THREE from 'three';
+
+const CIRCLE_POINTS = 64;     // Outline of a spun (lathe) mold
+const VERTICAL_STEP = 2 / 32; // Longest step up the side, for a smooth wobble
+const FLAT_STEP = 0.5;        // Longest step across a top or base
+const OUTLINE_STEP = 0.12;    // Longest outline edge (at scale 1)
+const SHARP_ANGLE = Math.PI / 6;
+
+function circle() {
+    const outline = [];
+    for (let i = 0; i < CIRCLE_POINTS; i++) {
+        const angle = (i / CIRCLE_POINTS) * Math.PI * 2;
+        outline.push([Math.sin(angle), Math.cos(angle)]);
+    }
+    return outline;
+}
+
+// Turn between two segments, in radians
+function turnAngle(a, b, c) {
+    const ux = b[0] - a[0], uy = b[1] - a[1];
+    const vx = c[0] - b[0], vy = c[1] - b[1];
+    return Math.acos(Math.min(Math.max((ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy)), -1), 1));
+}
+
+/**
+ * Split a polyline into runs at its sharp corners (the corner goes in both
+ * neighbouring runs), each subdivided by `pieces(a, b)`. A closed polyline
+ * without corners is one run: { points, closed }.
+ */
+function smoothRuns(points, closed, pieces) {
+    const count = points.length;
+    const corner = points.map((point, i) => {
+        if (!closed && (i === 0 || i === count - 1)) return true;
+        return turnAngle(points[(i - 1 + count) % count], point, points[(i + 1) % count]) > SHARP_ANGLE;
+    });
+
+    const subdivide = (a, b, run) => {
+        const n = pieces(a, b);
+        for (let k = 1; k <= n; k++) {
+            run.push([a[0] + (b[0] - a[0]) * (k / n), a[1] + (b[1] - a[1]) * (k / n)]);
+        }
+    };
+
+    const first = corner.indexOf(true);
+    if (first === -1) {
+        const run = [points[0]];
+        for (let i = 0; i < count; i++) subdivide(points[i], points[(i + 1) % count], run);
+        run.pop();  // Back at the start
+        return [{ points: run, closed: true }];
+    }
+
+    const runs = [];
+    const segments = closed ? count : count - 1;
+    let run = [points[first]];
+    for (let step = 0; step < segments; step++) {
+        const i = (first + step) % count;
+        const j = (i + 1) % count;
+        subdivide(points[i], points[j], run);
+        if (corner[j]) {
+            runs.push({ points: run, closed: false });
+            run = [points[j]];
+        }
+    }
+    return runs;
+}
+
+// Direction along a run at point i (central difference, one-sided at open ends)
+function runTangent(run, i) {
+    const { points, closed } = run;
+    const count = points.length;
+    const before = closed ? points[(i - 1 + count) % count] : points[Math.max(i - 1, 0)];
+    const after = closed ? points[(i + 1) % count] : points[Math.min(i + 1, count - 1)];
+    return [after[0] - before[0], after[1] - before[1]];
+}
+
+/**
+ * Indexed geometry (position, normal) for a mold, centred on its axis with
+ * the base at y = -1
+ */
+export function createMoldGeometry(mold) {
+    // Outline wound so the sweep faces outwards (see the normal below)
+    let outline = mold.outline || circle();
+    let area = 0;
+    outline.forEach(([x, z], i) => {
+        const [nx, nz] = outline[(i + 1) % outline.length];
+        area += x * nz - nx * z;
+    });
+    if (area > 0) outline = outline.slice().reverse();
+
+    const outlineRuns = smoothRuns(outline, true,
+        (a, b) => Math.max(Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / OUTLINE_STEP), 1));
+    const profileRuns = smoothRuns(mold.profile, mold.profile[0][0] > 0, (a, b) => Math.max(
+        Math.ceil(Math.abs(b[1] - a[1]) / VERTICAL_STEP),
+        Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / FLAT_STEP),
+        1
+    ));
+
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    const normal = new THREE.Vector3();
+
+    for (const profileRun of profileRuns) {
+        for (const outlineRun of outlineRuns) {
+            const around = outlineRun.points.length;
+            const rows = [];  // Vertex indices per profile point, one per outline point (or one on the axis)
+
+            profileRun.points.forEach(([s, y], j) => {
+                const [ds, dy] = runTangent(profileRun, j);
+                const row = [];
+
+                if (s === 0) {
+                    // On the axis: one vertex, facing straight up or down
+                    positions.push(0, y, 0);
+                    normals.push(0, ds > 0 ? -1 : 1, 0);
+                    row.push(positions.length / 3 - 1);
+                } else {
+                    outlineRun.points.forEach(([ox, oz], i) => {
+                        const [tx, tz] = runTangent(outlineRun, i);
+
+                        // Surface normal: cross of the profile and outline directions
+                        normal.set(-dy * tz, ds * (ox * tz - oz * tx), dy * tx).normalize();
+                        positions.push(ox * s, y, oz * s);
+                        normals.push(normal.x, normal.y, normal.z);
+                        row.push(positions.length / 3 - 1);
+                    });
+                }
+                rows.push(row);
+            });
+
+            const at = (row, i) => (row.length === 1 ? row[0] : row[i % around]);
+            const segments = outlineRun.closed ? around : around - 1;
+
+            for (let j = 0; j < rows.length - 1; j++) {
+                for (let i = 0; i < segments; i++) {
+                    const a = at(rows[j], i);
+                    const b = at(rows[j], i + 1);
+                    const c = at(rows[j + 1], i + 1);
+                    const d = at(rows[j + 1], i);
+                    if (a !== b) indices.push(a, b, d);
+                    if (c !== d) indices.push(b, c, d);
+                }
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setIndex(indices);
+    return geometry;
+}
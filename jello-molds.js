@@ -0,0 +1,178 @@
+/**
+ * Jello Molds - the shapes the jello can be set in
+ *
+ * A mold is plain data (it goes to the physics worker and into replays):
+ *
+ *   height   from the base at y = -1 up - the wobble's height range
+ *   profile  side silhouette [[s, y], ...] from the base up and back in.
+ *            Starting and ending on the axis (s = 0) makes a solid mold;
+ *            otherwise the profile is a closed loop around a hole
+ *   outline  optional top-down outline [[x, z], ...] around the axis,
+ *            scaled by s at each height (a star, a brick). Without one the
+ *            profile is spun round: a circle of radius s
+ *
+ * So the jello at height y is the outline scaled between the profile's
+ * inner and outer s there. The mesh (jello-mold-geometry.js), the
+ * soft-body lattice, object placement and bubbles all work from this.
+ *
+ * Pure functions on plain data - no Three.js needed.
+ */
+
+export const MOLD_BASE_Y = -1;  // Every mold sits on the plate here
+
+// Scalloped outline for the bundt - smooth, so it has no sharp corners
+function fluted(count, depth, points = 96) {
+    const outline = [];
+    for (let i = 0; i < points; i++) {
+        const angle = (i / points) * Math.PI * 2;
+        const reach = 1 + depth * Math.cos(angle * count);
+        outline.push([Math.sin(angle) * reach, Math.cos(angle) * reach]);
+    }
+    return outline;
+}
+
+function star(points, inner) {
+    const outline = [];
+    for (let i = 0; i < points * 2; i++) {
+        const angle = (i / (points * 2)) * Math.PI * 2;
+        const reach = i % 2 === 0 ? 1 : inner;
+        outline.push([Math.sin(angle) * reach, Math.cos(angle) * reach]);
+    }
+    return outline;
+}
+
+// Quarter ellipse (or more) of profile points, from angle `from` to `to`
+function arc(cs, cy, rs, ry, from, to, steps) {
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = from + (to - from) * (i / steps);
+        const snap = v => (Math.abs(v) < 1e-9 ? 0 : v);  // Land exactly on the axis
+        points.push([snap(cs + rs * Math.cos(t)), snap(cy + ry * Math.sin(t))]);
+    }
+    return points;
+}
+
+export const MOLDS = {
+    classic: {
+        label: 'Classic cup',
+        height: 2,
+        profile: [[0, -1], [1.5, -1], [1.1, 1], [0, 1]]
+    },
+    bundt: {
+        label: 'Bundt',
+        height: 1.5,
+        profile: [
+            [0.45, -1], [1.5, -1], [1.4, -0.1],
+            ...arc(0.95, -0.1, 0.45, 0.6, 0, Math.PI, 12).slice(1, -1),
+            [0.5, -0.1]
+        ],
+        outline: fluted(12, 0.05)
+    },
+    ring: {
+        label: 'Ring',
+        height: 1.1,
+        profile: [[0.7, -1], [1.55, -1], [1.45, 0.1], [0.8, 0.1]]
+    },
+    star: {
+        label: 'Star',
+        height: 1.6,
+        profile: [[0, -1], [1.7, -1], [1.55, 0.6], [0, 0.6]],
+        outline: star(5, 0.5)
+    },
+    dome: {
+        label: 'Dome',
+        height: 1.6,
+        profile: [[0, -1], ...arc(0, -1, 1.45, 1.6, 0, Math.PI / 2, 12)]
+    },
+    brick: {
+        label: 'Brick',
+        height: 1.3,
+        profile: [[0, -1], [1, -1], [0.95, 0.3], [0, 0.3]],
+        outline: [[-1.3, 0.8], [1.3, 0.8], [1.3, -0.8], [-1.3, -0.8]]
+    }
+};
+
+export const DEFAULT_MOLD = 'classic';
+
+// Solid molds start and end on the axis; the rest go round a hole
+export function isHollow(mold) {
+    return mold.profile[0][0] > 0;
+}
+
+/**
+ * Inner and outer profile scale at height y: { inner, outer }. inner is 0
+ * for a solid mold. y is clamped into the mold.
+ */
+export function moldSection(mold, y, out = { inner: 0, outer: 0 }) {
+    const { profile } = mold;
+    const hollow = isHollow(mold);
+    const top = MOLD_BASE_Y + mold.height;
+    const h = Math.min(Math.max(y, MOLD_BASE_Y + 1e-6), top - 1e-6);
+
+    let inner = Infinity;
+    let outer = 0;
+    const count = hollow ? profile.length : profile.length - 1;
+    for (let i = 0; i < count; i++) {
+        const [s0, y0] = profile[i];
+        const [s1, y1] = profile[(i + 1) % profile.length];
+        if ((h < y0 && h < y1) || (h > y0 && h > y1) || y0 === y1) continue;
+
+        const s = s0 + (s1 - s0) * ((h - y0) / (y1 - y0));
+        inner = Math.min(inner, s);
+        outer = Math.max(outer, s);
+    }
+
+    out.inner = hollow && inner < outer ? inner : 0;
+    out.outer = outer;
+    return out;
+}
+
+/**
+ * How far the outline reaches from the axis in the direction of `angle`
+ * (x = sin, z = cos) - 1 all round when there's no outline
+ */
+export function outlineReach(mold, angle) {
+    const { outline } = mold;
+    if (!outline) return 1;
+
+    const dx = Math.sin(angle);
+    const dz = Math.cos(angle);
+    let reach = 0;
+
+    for (let i = 0; i < outline.length; i++) {
+        const [ax, az] = outline[i];
+        const [bx, bz] = outline[(i + 1) % outline.length];
+
+        // Ray from the axis against edge a-b
+        const ex = bx - ax, ez = bz - az;
+        const denominator = dx * ez - dz * ex;
+        if (Math.abs(denominator) < 1e-12) continue;
+        const t = (ax * ez - az * ex) / denominator;   // Along the ray
+        const u = (ax * dz - az * dx) / denominator;   // Along the edge
+        if (t > 0 && u >= 0 && u <= 1) reach = Math.max(reach, t);
+    }
+    return reach;
+}
+
+/**
+ * Distances from the axis where the jello starts and ends at height y, in
+ * the direction of `angle`: { inner, outer }
+ */
+export function moldSpan(mold, y, angle, out = { inner: 0, outer: 0 }) {
+    moldSection(mold, y, out);
+    const reach = outlineReach(mold, angle);
+    out.inner *= reach;
+    out.outer *= reach;
+    return out;
+}
+
+/**
+ * Is a point (mold space) inside the jello, at least `margin` from its sides?
+ */
+export function insideMold(mold, x, y, z, margin = 0) {
+    if (y < MOLD_BASE_Y + margin || y > MOLD_BASE_Y + mold.height - margin) return false;
+
+    const { inner, outer } = moldSpan(mold, y, Math.atan2(x, z));
+    const distance = Math.hypot(x, z);
+    return distance <= outer - margin && (inner === 0 || distance >= inner + margin);
+}
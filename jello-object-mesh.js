@@ -0,0 +1,298 @@
+/**
+ * Jello Object Mesh - turn a cut-out photo into a solid object
+ *
+ * Takes the alpha mask from JelloObjectProcessor, traces the outline of the
+ * largest opaque blob, simplifies it and extrudes it with rounded bevels.
+ * Front and back caps are planar-mapped onto the photo, and the side walls
+ * pick up the colour at the edge, so the object has real thickness when
+ * the camera moves or the jello tilts.
+ *
+ * A lighter middle ground is the relief: the usual flat card's vertex grid
+ * pushed forward by the processor's estimated depth map (2.5D).
+ */
+
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+const ALPHA_THRESHOLD = 128;      // Mask value that counts as "inside"
+const SIMPLIFY_TOLERANCE = 1.0;   // Mask pixels the outline may drift when simplified
+const MIN_OUTLINE_POINTS = 3;
+const MIN_BLOB_PIXELS = 64;       // Anything smaller is noise, not an object
+const RELIEF_SEGMENTS = 16;       // Same vertex grid as the flat card
+
+// Clockwise neighbour offsets in image space (y down), starting west
+const NEIGHBOURS = [
+    [-1, 0], [-1, -1], [0, -1], [1, -1],
+    [1, 0], [1, 1], [0, 1], [-1, 1]
+];
+
+/**
+ * Keep only the largest 4-connected blob of the mask. Returns a Uint8Array
+ * of 0/1 per pixel and its pixel count.
+ */
+function largestBlob(mask, threshold) {
+    const { width, height, data } = mask;
+    const labels = new Int32Array(width * height);
+    const stack = [];
+    let bestLabel = 0;
+    let bestCount = 0;
+    let label = 0;
+
+    for (let start = 0; start < data.length; start++) {
+        if (data[start] < threshold || labels[start] !== 0) continue;
+
+        label++;
+        let count = 0;
+        stack.push(start);
+        labels[start] = label;
+
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            count++;
+
+            const neighbours = [
+                x > 0 ? i - 1 : -1,
+                x < width - 1 ? i + 1 : -1,
+                y > 0 ? i - width : -1,
+                y < height - 1 ? i + width : -1
+            ];
+
+            for (const n of neighbours) {
+                if (n >= 0 && labels[n] === 0 && data[n] >= threshold) {
+                    labels[n] = label;
+                    stack.push(n);
+                }
+            }
+        }
+
+        if (count > bestCount) {
+            bestCount = count;
+            bestLabel = label;
+        }
+    }
+
+    const blob = new Uint8Array(width * height);
+    for (let i = 0; i < blob.length; i++) {
+        blob[i] = labels[i] === bestLabel && bestLabel !== 0 ? 1 : 0;
+    }
+
+    return { blob, count: bestCount };
+}
+
+/**
+ * Moore-neighbour tracing of the blob's outer boundary (pixel coordinates)
+ */
+function traceBoundary(blob, width, height) {
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && blob[y * width + x] === 1;
+
+    // First pixel in scan order - its west neighbour is guaranteed outside
+    let start = -1;
+    for (let i = 0; i < blob.length; i++) {
+        if (blob[i]) {
+            start = i;
+            break;
+        }
+    }
+    if (start === -1) return [];
+
+    const startX = start % width;
+    const startY = (start - startX) / width;
+    const points = [[startX, startY]];
+
+    let px = startX;
+    let py = startY;
+    let backDir = 0;  // Direction from current pixel to the backtrack pixel (west)
+    const maxSteps = width * height * 4;
+
+    for (let step = 0; step < maxSteps; step++) {
+        let found = false;
+
+        for (let k = 1; k <= 8; k++) {
+            const dir = (backDir + k) % 8;
+            const nx = px + NEIGHBOURS[dir][0];
+            const ny = py + NEIGHBOURS[dir][1];
+
+            if (inside(nx, ny)) {
+                // New backtrack is the last outside neighbour we checked, seen from the new pixel
+                const prev = (backDir + k - 1) % 8;
+                const bx = px + NEIGHBOURS[prev][0];
+                const by = py + NEIGHBOURS[prev][1];
+                backDir = NEIGHBOURS.findIndex(([dx, dy]) => dx === bx - nx && dy === by - ny);
+
+                px = nx;
+                py = ny;
+                found = true;
+                break;
+            }
+        }
+
+        // Single isolated pixel, or back where we started
+        if (!found || (px === startX && py === startY)) break;
+        points.push([px, py]);
+    }
+
+    return points;
+}
+
+function perpendicularDistance(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+    return Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / length;
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of an open polyline
+ */
+function simplify(points, tolerance) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const ranges = [[0, points.length - 1]];
+
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicularDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            ranges.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Outline of the largest opaque region of an alpha mask, as a simplified
+ * closed polygon in mask pixel coordinates. Returns null if there isn't
+ * a usable silhouette.
+ */
+export function traceSilhouette(mask, threshold = ALPHA_THRESHOLD) {
+    if (!mask || !mask.data || mask.width < 2 || mask.height < 2) return null;
+
+    const { blob, count } = largestBlob(mask, threshold);
+    if (count < MIN_BLOB_PIXELS) return null;
+
+    const boundary = traceBoundary(blob, mask.width, mask.height);
+    if (boundary.length < MIN_OUTLINE_POINTS) return null;
+
+    // Close the loop for simplification, then drop the duplicate end
+    const outline = simplify([...boundary, boundary[0]], SIMPLIFY_TOLERANCE);
+    outline.pop();
+
+    return outline.length >= MIN_OUTLINE_POINTS ? outline : null;
+}
+
+/**
+ * Extruded, bevelled geometry for an object of width x height (world units)
+ * whose silhouette comes from the alpha mask. Centred on the origin, facing +z.
+ * Returns null when no silhouette can be traced - callers fall back to a flat card.
+ */
+export function createExtrudedObjectGeometry(mask, width, height, options = {}) {
+    const outline = traceSilhouette(mask);
+    if (!outline) return null;
+
+    const depth = options.depth || Math.max(width, height) * 0.08;
+    const bevel = options.bevel || depth * 0.35;
+
+    // Mask pixels -> object space (image y runs down, ours runs up)
+    const toObject = ([px, py]) => new THREE.Vector2(
+        ((px + 0.5) / mask.width - 0.5) * width,
+        (0.5 - (py + 0.5) / mask.height) * height
+    );
+
+    const shape = new THREE.Shape(outline.map(toObject));
+
+    // Both caps and the side walls map straight onto the photo by x/y,
+    // so walls take the colour of the edge they grow from
+    const planarUV = (vertices, indices) => indices.map(i => new THREE.Vector2(
+        vertices[i * 3] / width + 0.5,
+        vertices[i * 3 + 1] / height + 0.5
+    ));
+
+    const uvGenerator = {
+        generateTopUV: (geometry, vertices, a, b, c) => planarUV(vertices, [a, b, c]),
+        generateSideWallUV: (geometry, vertices, a, b, c, d) => planarUV(vertices, [a, b, c, d])
+    };
+
+    const geometry = new THREE.ExtrudeGeometry(shape, {
+        depth,
+        bevelEnabled: true,
+        bevelThickness: bevel,
+        bevelSize: bevel,
+        bevelOffset: -bevel,   // Round the edge inward so the silhouette keeps its size
+        bevelSegments: 3,
+        curveSegments: 1,
+        UVGenerator: uvGenerator
+    });
+
+    // Centre the slab on z = 0 like the flat card it replaces
+    geometry.translate(0, 0, -depth / 2);
+
+    // Weld caps, bevels and walls so the rounded edge shades smoothly
+    geometry.deleteAttribute('normal');
+    const welded = mergeVertices(geometry);
+    welded.computeVertexNormals();
+    geometry.dispose();
+
+    return welded;
+}
+
+/**
+ * Bilinear sample of a depth map at texture coordinates (v = 0 at the bottom)
+ */
+function sampleDepth(depthMap, u, v) {
+    const { width, height, data } = depthMap;
+    const x = Math.min(Math.max(u * width - 0.5, 0), width - 1);
+    const y = Math.min(Math.max((1 - v) * height - 0.5, 0), height - 1);
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+    const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Flat card of width x height whose vertex grid is displaced towards +z by
+ * the depth map (2.5D relief). Centred on z = 0.
+ * Returns null without a depth map - callers fall back to a flat card.
+ */
+export function createReliefObjectGeometry(depthMap, width, height, options = {}) {
+    if (!depthMap || !depthMap.data || depthMap.width < 2 || depthMap.height < 2) return null;
+
+    const reliefDepth = options.depth || Math.max(width, height) * 0.15;
+    const geometry = new THREE.PlaneGeometry(width, height, RELIEF_SEGMENTS, RELIEF_SEGMENTS);
+    const positions = geometry.attributes.position;
+    const uvs = geometry.attributes.uv;
+
+    for (let i = 0; i < positions.count; i++) {
+        const depth = sampleDepth(depthMap, uvs.getX(i), uvs.getY(i));
+        positions.setZ(i, (depth - 0.5) * reliefDepth);
+    }
+
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+
+    return geometry;
+}
@@ -41,6 +41,16 @@ class JelloObjectProcessor {
             const jellofied = await this.applyJelloEffects(noBg);
             console.log('✅ Jello effects applied');
 
+            // Step 3: Alpha mask for building a 3D silhouette
+            this.updateProgress('Tracing silhouette...', 85);
+            const alphaMask = await this.extractAlphaMask(jellofied);
+            console.log(`✅ Alpha mask ready (${alphaMask.width}x${alphaMask.height})`);
+
+            // Step 4: Rough depth for a 2.5D relief
+            this.updateProgress('Estimating depth...', 92);
+            const depthMap = await this.estimateDepthMap(jellofied, alphaMask);
+            console.log('✅ Depth map estimated');
+
             const totalTime = Date.now() - startTime;
             this.updateProgress('Ready!', 100);
 
@@ -48,6 +58,8 @@ class JelloObjectProcessor {
 
             return {
                 processedImage: jellofied,
+                alphaMask: alphaMask,
+                depthMap: depthMap,
                 totalTime: totalTime,
                 approach: 'quality-processing'
             };
@@ -349,20 +361,13 @@ class JelloObjectProcessor {
                 const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
                 const data = imageData.data;
 
-                // VERY subtle effects - barely noticeable
+                // VERY subtle effects - barely noticeable. No tint here: the
+                // jello's colour goes on the object's material, so it follows
+                // the flavour
                 for (let i = 0; i < data.length; i += 4) {
                     const alpha = data[i + 3];
                     if (alpha === 0) continue;
 
-                    const r = data[i];
-                    const g = data[i + 1];
-                    const b = data[i + 2];
-
-                    // Barely noticeable red tint (2% more red)
-                    data[i] = Math.min(255, r * 1.02);
-                    data[i + 1] = g * 0.99;
-                    data[i + 2] = b * 0.99;
-
                     // Tiny contrast reduction (98%)
                     const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
                     data[i] = avg + (data[i] - avg) * 0.98;
@@ -383,7 +388,7 @@ class JelloObjectProcessor {
                 ctx.clearRect(0, 0, canvas.width, canvas.height);
                 ctx.drawImage(temp, 0, 0);
 
-                console.log('   ✅ Effects applied: barely-there red tint, soft edges');
+                console.log('   ✅ Effects applied: softer contrast, soft edges');
 
                 resolve(canvas.toDataURL('image/png'));
             };
@@ -397,6 +402,132 @@ class JelloObjectProcessor {
         });
     }
 
+    /**
+     * Downsampled alpha channel of the cut-out - { width, height, data }
+     * with one 0-255 value per pixel. Used to trace and extrude the silhouette.
+     */
+    async extractAlphaMask(imageUrl, maxSize = 256) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+
+            img.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+                const width = Math.max(1, Math.round(img.width * scale));
+                const height = Math.max(1, Math.round(img.height * scale));
+
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+
+                const pixels = ctx.getImageData(0, 0, width, height).data;
+                const data = new Uint8Array(width * height);
+                for (let i = 0; i < data.length; i++) {
+                    data[i] = pixels[i * 4 + 3];
+                }
+
+                resolve({ width, height, data });
+            };
+
+            img.onerror = reject;
+            img.src = imageUrl;
+        });
+    }
+
+    /**
+     * Heuristic depth map - { width, height, data } with 0 (back) to 1 (front)
+     * per pixel, at the alpha mask's resolution.
+     *
+     * No ML: the silhouette bulges out towards its middle (distance from
+     * the edge), and brighter shading inside the mask reads as nearer.
+     */
+    async estimateDepthMap(imageUrl, alphaMask) {
+        const { width, height } = alphaMask;
+        const inside = alphaMask.data.map(a => (a >= 128 ? 1 : 0));
+
+        const luminance = await new Promise((resolve, reject) => {
+            const img = new Image();
+
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.filter = 'blur(2px)';  // Shading, not texture detail
+                ctx.drawImage(img, 0, 0, width, height);
+
+                const pixels = ctx.getImageData(0, 0, width, height).data;
+                const lum = new Float32Array(width * height);
+                for (let i = 0; i < lum.length; i++) {
+                    lum[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255;
+                }
+                resolve(lum);
+            };
+
+            img.onerror = reject;
+            img.src = imageUrl;
+        });
+
+        // Bulge: chamfer distance to the nearest outside pixel (two passes)
+        const distance = new Float32Array(width * height);
+        const far = width + height;
+        for (let i = 0; i < distance.length; i++) {
+            distance[i] = inside[i] ? far : 0;
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (!inside[i]) continue;
+                const left = x > 0 ? distance[i - 1] : 0;
+                const up = y > 0 ? distance[i - width] : 0;
+                const upLeft = x > 0 && y > 0 ? distance[i - width - 1] : 0;
+                const upRight = x < width - 1 && y > 0 ? distance[i - width + 1] : 0;
+                distance[i] = Math.min(distance[i], left + 1, up + 1, upLeft + 1.414, upRight + 1.414);
+            }
+        }
+
+        for (let y = height - 1; y >= 0; y--) {
+            for (let x = width - 1; x >= 0; x--) {
+                const i = y * width + x;
+                if (!inside[i]) continue;
+                const right = x < width - 1 ? distance[i + 1] : 0;
+                const down = y < height - 1 ? distance[i + width] : 0;
+                const downRight = x < width - 1 && y < height - 1 ? distance[i + width + 1] : 0;
+                const downLeft = x > 0 && y < height - 1 ? distance[i + width - 1] : 0;
+                distance[i] = Math.min(distance[i], right + 1, down + 1, downRight + 1.414, downLeft + 1.414);
+            }
+        }
+
+        let maxDistance = 0;
+        let lumSum = 0;
+        let lumCount = 0;
+        for (let i = 0; i < distance.length; i++) {
+            if (!inside[i]) continue;
+            maxDistance = Math.max(maxDistance, distance[i]);
+            lumSum += luminance[i];
+            lumCount++;
+        }
+
+        const data = new Float32Array(width * height);
+        if (lumCount === 0) return { width, height, data };
+
+        const meanLum = lumSum / lumCount;
+
+        for (let i = 0; i < data.length; i++) {
+            if (!inside[i]) continue;
+
+            // Rounded profile (sqrt) so edges fall off steeply like a real object
+            const bulge = Math.sqrt(distance[i] / maxDistance);
+            const shading = (luminance[i] - meanLum) * 0.8;  // Brighter = a bit nearer
+
+            data[i] = Math.min(Math.max(bulge * 0.8 + shading + 0.1, 0), 1);
+        }
+
+        return { width, height, data };
+    }
+
     // Helper methods
     fileToBase64(file) {
         return new Promise((resolve, reject) => {
@@ -0,0 +1,141 @@
+/**
+ * Jello Objects - placement and collision for embedded objects
+ *
+ * Objects are treated as spheres (centre + radius) in jello local space.
+ * Overlapping pairs are pushed apart and every object is kept inside the
+ * jello volume: the mold it was set in ({ mold }, see jello-molds.js -
+ * the classic cup when left out), with its base at y = -1 like the jello
+ * geometry itself. A piece cut from the jello adds `center` (where the
+ * mold's axis is, { x, z }) and `planes` (vertical cut planes
+ * { x, z, offset }, inside is x * px + z * pz >= offset).
+ *
+ * Pure functions on plain {x, y, z} objects - no Three.js needed.
+ */
+
+import { MOLDS, DEFAULT_MOLD, MOLD_BASE_Y, moldSpan } from './jello-molds.js';
+
+const SEPARATION_ITERATIONS = 8;
+
+/**
+ * Move a centre (in place) so a sphere of `radius` sits inside the jello
+ */
+export function constrainToJello(position, radius, shape) {
+    const mold = shape.mold || MOLDS[DEFAULT_MOLD];
+    const minY = MOLD_BASE_Y + radius;
+    const maxY = MOLD_BASE_Y + mold.height - radius;
+    position.y = minY <= maxY ? Math.min(Math.max(position.y, minY), maxY) : MOLD_BASE_Y + mold.height / 2;
+
+    const cx = shape.center ? shape.center.x : 0;
+    const cz = shape.center ? shape.center.z : 0;
+    const dx = position.x - cx;
+    const dz = position.z - cz;
+    const distance = Math.hypot(dx, dz);
+
+    // Between the side and the hole (if the mold has one), along this direction
+    const span = moldSpan(mold, position.y, Math.atan2(dx, dz));
+    const maxDistance = Math.max(span.outer - radius, 0);
+    const minDistance = span.inner > 0 ? Math.min(span.inner + radius, maxDistance) : 0;
+    const target = Math.min(Math.max(distance, minDistance), maxDistance);
+    if (target !== distance) {
+        if (distance > 0) {
+            position.x = cx + dx * (target / distance);
+            position.z = cz + dz * (target / distance);
+        } else {
+            position.z = cz + target;  // Dead centre of a hole: out towards +z
+        }
+    }
+
+    // Stay clear of the cut faces
+    for (const plane of shape.planes || []) {
+        const inside = plane.x * position.x + plane.z * position.z - plane.offset;
+        if (inside < radius) {
+            position.x += plane.x * (radius - inside);
+            position.z += plane.z * (radius - inside);
+        }
+    }
+
+    return position;
+}
+
+/**
+ * Push overlapping objects apart and keep them all inside the jello.
+ * items: [{ position: {x,y,z}, radius, pinned? }] - positions are updated in place.
+ * A pinned item (e.g. the one being edited) stays put unless it is outside the jello.
+ */
+export function separateObjects(items, shape, iterations = SEPARATION_ITERATIONS) {
+    for (let iter = 0; iter < iterations; iter++) {
+        let moved = false;
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const a = items[i];
+                const b = items[j];
+
+                let dx = b.position.x - a.position.x;
+                let dy = b.position.y - a.position.y;
+                let dz = b.position.z - a.position.z;
+                let distance = Math.hypot(dx, dy, dz);
+                const overlap = a.radius + b.radius - distance;
+                if (overlap <= 0) continue;
+
+                if (distance < 1e-6) {
+                    // Exactly on top of each other - split sideways
+                    dx = 1;
+                    dy = 0;
+                    dz = 0;
+                    distance = 1;
+                }
+
+                // Share the push, unless one of them is pinned
+                const shareA = a.pinned ? 0 : (b.pinned ? 1 : 0.5);
+                const shareB = b.pinned ? 0 : (a.pinned ? 1 : 0.5);
+                const nx = dx / distance;
+                const ny = dy / distance;
+                const nz = dz / distance;
+
+                a.position.x -= nx * overlap * shareA;
+                a.position.y -= ny * overlap * shareA;
+                a.position.z -= nz * overlap * shareA;
+                b.position.x += nx * overlap * shareB;
+                b.position.y += ny * overlap * shareB;
+                b.position.z += nz * overlap * shareB;
+                moved = true;
+            }
+        }
+
+        items.forEach(item => constrainToJello(item.position, item.radius, shape));
+        if (!moved) break;
+    }
+
+    return items;
+}
+
+/**
+ * Pick a starting spot for a new object: the candidate furthest from
+ * everything already embedded (first candidate wins when the jello is empty).
+ */
+export function findFreeSpot(items, radius, shape, candidates) {
+    let best = null;
+    let bestClearance = -Infinity;
+
+    for (const candidate of candidates) {
+        const position = constrainToJello({ ...candidate }, radius, shape);
+
+        let clearance = Infinity;
+        for (const item of items) {
+            const distance = Math.hypot(
+                item.position.x - position.x,
+                item.position.y - position.y,
+                item.position.z - position.z
+            );
+            clearance = Math.min(clearance, distance - item.radius - radius);
+        }
+
+        if (clearance > bestClearance) {
+            best = position;
+            bestClearance = clearance;
+        }
+    }
+
+    return best;
+}
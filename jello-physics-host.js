@@ -0,0 +1,471 @@
+/**
+ * Jello Physics Host - runs the wobble simulation off the main thread
+ *
+ * One worker owns the JelloWobble of every piece and writes everything the
+ * renderer needs (spring state, soft-body vertex offsets and slopes, bubble
+ * matrices, embedded object positions and deformed vertices) into
+ * SharedArrayBuffers. The main thread only posts input events and copies
+ * the latest frame out, so the lattice and the per-vertex object
+ * deformation never cost render time. A piece that has settled publishes
+ * nothing (and the renderer uploads nothing) until its next input.
+ *
+ * SharedArrayBuffer needs a cross-origin isolated page (COOP/COEP headers,
+ * see vite.config.js). Without it the exact same runner is stepped on the
+ * main thread behind the same API.
+ */
+
+import { JelloWobble } from './jello-physics.js';
+
+const SPRING_NAMES = ['tiltX', 'tiltZ', 'squash', 'twist'];
+const INPUT_METHODS = ['applyImpulse', 'grab', 'drag', 'release', 'shake', 'setFirmness', 'setGel'];
+export const RUNNER_MESSAGES = ['input', 'addBody', 'updateBody', 'removeBody'];
+
+const HEADER_BYTES = 16;         // Int32 sequence number + padding, keeps floats aligned
+const READ_ATTEMPTS = 4;         // Give up on a frame (keep the last one) if the writer keeps racing us
+
+// Jello frame: springs (position, velocity), wobbling flag, sim time, then the arrays
+const JELLO_SCALARS = SPRING_NAMES.length * 2 + 2;
+
+// Body frame: position, rotation, deformed flag, then mesh and outline vertices
+const BODY_SCALARS = 7;
+
+/**
+ * One frame of floats behind a sequence lock. The writer makes the
+ * sequence odd while it writes and even again when done; a reader copies
+ * the data and only trusts it if the sequence was even and unchanged.
+ * Works the same on plain ArrayBuffers for the in-thread fallback.
+ */
+export class FrameChannel {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.header = new Int32Array(buffer, 0, 1);
+        this.data = new Float32Array(buffer, HEADER_BYTES);
+    }
+
+    static create(floatCount, shared) {
+        const BufferType = shared ? SharedArrayBuffer : ArrayBuffer;
+        return new FrameChannel(new BufferType(HEADER_BYTES + floatCount * 4));
+    }
+
+    write(writer) {
+        Atomics.add(this.header, 0, 1);
+        writer(this.data);
+        Atomics.add(this.header, 0, 1);
+    }
+
+    /**
+     * Copy the latest complete frame into `out` if it is newer than
+     * `lastSequence` (start from 0 - never a published frame). Returns the
+     * frame's sequence number, or -1 when there was nothing new (or no
+     * consistent copy to be had).
+     */
+    read(out, lastSequence) {
+        for (let attempt = 0; attempt < READ_ATTEMPTS; attempt++) {
+            const before = Atomics.load(this.header, 0);
+            if (before === lastSequence) return -1;
+            if (before & 1) continue;
+
+            out.set(this.data);
+            if (Atomics.load(this.header, 0) === before) return before;
+        }
+
+        return -1;
+    }
+}
+
+function jelloFrameLength(setup) {
+    return JELLO_SCALARS + setup.vertexCount * (3 + 9) + (setup.bubbles.length / 4) * 16;
+}
+
+function bodyFrameLength(options) {
+    return BODY_SCALARS + options.vertices.length + (options.outlineVertices ? options.outlineVertices.length : 0);
+}
+
+/**
+ * The simulation side: a JelloWobble plus what each embedded body needs
+ * for its mesh. Lives in the worker, or on the main thread as a fallback.
+ *
+ * setup: { config, jelloVertices (flat xyz), bubbles (flat x, y, z, scale) }
+ */
+export class JelloPhysicsRunner {
+    constructor(setup, jelloBuffer) {
+        this.wobble = new JelloWobble(setup.config);
+        this.binding = this.wobble.softBody ? this.wobble.softBody.bindVertices(setup.jelloVertices) : null;
+        this.vertexCount = setup.jelloVertices.length / 3;
+        this.bubbles = setup.bubbles;
+        this.jelloChannel = new FrameChannel(jelloBuffer);
+        this.bodies = new Map();
+        this.idle = false;
+
+        this.writeJello();
+    }
+
+    /**
+     * Forward a pointer/impulse call to the wobble (whitelisted)
+     */
+    input(method, payload) {
+        if (!INPUT_METHODS.includes(method)) {
+            throw new Error(`Unknown physics input: ${method}`);
+        }
+        this.wobble[method](payload);
+    }
+
+    /**
+     * options: { position, mass, size, vertices, outlineVertices, outlineScale }
+     * Vertex arrays are the undeformed mesh positions (flat xyz).
+     */
+    addBody(id, options, buffer) {
+        this.wobble.addBody(id, options.position, options.mass);
+        this.bodies.set(id, {
+            restY: options.position.y,
+            size: options.size,
+            vertices: options.vertices,
+            outlineVertices: options.outlineVertices || null,
+            outlineScale: options.outlineScale || 1,
+            channel: new FrameChannel(buffer)
+        });
+        this.writeBody(id, this.bodies.get(id));
+    }
+
+    /**
+     * changes: any of { position, mass, size }
+     */
+    updateBody(id, changes) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+
+        if (changes.position) {
+            this.wobble.setBodyRest(id, changes.position);
+            body.restY = changes.position.y;
+        }
+        if (changes.mass !== undefined) this.wobble.setBodyMass(id, changes.mass);
+        if (changes.size !== undefined) body.size = changes.size;
+
+        this.writeBody(id, body);
+    }
+
+    removeBody(id) {
+        this.wobble.removeBody(id);
+        this.bodies.delete(id);
+    }
+
+    /**
+     * Step the wobble by real elapsed time and publish a frame if anything
+     * ran. Once it has settled the last frame stands and nothing steps
+     * until an input arrives.
+     */
+    advance(frameDelta) {
+        if (this.wobble.isSettled()) {
+            this.idle = true;
+            return 0;
+        }
+
+        // Waking up: the time spent idle doesn't need simulating
+        if (this.idle) {
+            this.idle = false;
+            frameDelta = Math.min(frameDelta, this.wobble.timestep);
+        }
+
+        const steps = this.wobble.advance(frameDelta);
+        if (steps === 0) return 0;
+
+        this.writeJello();
+        this.bodies.forEach((body, id) => this.writeBody(id, body));
+        return steps;
+    }
+
+    writeJello() {
+        const wobble = this.wobble;
+
+        this.jelloChannel.write(data => {
+            let o = 0;
+            for (const name of SPRING_NAMES) {
+                data[o++] = wobble.springs[name].position;
+                data[o++] = wobble.springs[name].velocity;
+            }
+            data[o++] = wobble.isWobbling() ? 1 : 0;
+            data[o++] = wobble.time;
+
+            const offsets = data.subarray(o, o + this.vertexCount * 3);
+            o += offsets.length;
+            const slopes = data.subarray(o, o + this.vertexCount * 9);
+            o += slopes.length;
+            if (this.binding) {
+                wobble.softBody.writeOffsets(this.binding, offsets);
+                wobble.softBody.writeSlopes(this.binding, offsets, slopes);
+            }
+
+            wobble.writeBubbleMatrices(this.bubbles, data.subarray(o));
+        });
+    }
+
+    writeBody(id, body) {
+        const wobble = this.wobble;
+        const position = wobble.bodyPosition(id, this._position || (this._position = {}));
+        const rotation = wobble.objectRotation(body.restY, this._rotation || (this._rotation = {}));
+        const deformed = wobble.isWobbling();
+
+        body.channel.write(data => {
+            data[0] = position.x;
+            data[1] = position.y;
+            data[2] = position.z;
+            data[3] = rotation.x;
+            data[4] = rotation.y;
+            data[5] = rotation.z;
+            data[6] = deformed ? 1 : 0;
+
+            // Below the threshold the last deformed vertices stand, as before
+            if (!deformed) return;
+
+            const vertexEnd = BODY_SCALARS + body.vertices.length;
+            wobble.deformObjectVertices(body.vertices, data.subarray(BODY_SCALARS, vertexEnd), body.restY, body.size);
+
+            if (body.outlineVertices) {
+                wobble.deformObjectVertices(body.outlineVertices, data.subarray(vertexEnd), body.restY, body.size, {
+                    scale: body.outlineScale,
+                    wave: false
+                });
+            }
+        });
+    }
+}
+
+/**
+ * The main-thread side. Reads frames into plain arrays the renderer uses:
+ *
+ *   springs          { tiltX, tiltZ, squash, twist } -> { position, velocity }
+ *   softOffsets      per-vertex soft-body offsets (for the softOffset attribute)
+ *   softSlopes       9 floats per vertex, how the offset changes along x, y
+ *                    and z (for the softSlope attribute)
+ *   bubbleMatrices   16 floats per bubble (for the instanceMatrix)
+ *   bodies           id -> { position, rotation, deformed, vertices, outlineVertices }
+ *
+ * `deformed` is only true for the update that brought new vertices.
+ */
+class PhysicsHost {
+    constructor(setup, shared) {
+        this.shared = shared;
+        this.isWobbling = false;
+        this.time = 0;
+
+        const length = jelloFrameLength(setup);
+        this.jelloChannel = FrameChannel.create(length, shared);
+        this.jelloFrame = new Float32Array(length);
+        this.jelloSequence = 0;  // Nothing published yet
+
+        this.springs = {};
+        SPRING_NAMES.forEach(name => {
+            this.springs[name] = { position: 0, velocity: 0 };
+        });
+
+        const offsetsEnd = JELLO_SCALARS + setup.vertexCount * 3;
+        const slopesEnd = offsetsEnd + setup.vertexCount * 9;
+        this.softOffsets = this.jelloFrame.subarray(JELLO_SCALARS, offsetsEnd);
+        this.softSlopes = this.jelloFrame.subarray(offsetsEnd, slopesEnd);
+        this.bubbleMatrices = this.jelloFrame.subarray(slopesEnd);
+
+        this.bodies = new Map();
+    }
+
+    applyImpulse(impulse) {
+        this.send('input', 'applyImpulse', impulse);
+    }
+
+    grab(point) {
+        this.send('input', 'grab', { x: point.x, y: point.y, z: point.z });
+    }
+
+    drag(offset) {
+        this.send('input', 'drag', { x: offset.x, y: offset.y, z: offset.z });
+    }
+
+    release(velocity = { x: 0, y: 0, z: 0 }) {
+        this.send('input', 'release', { x: velocity.x, y: velocity.y, z: velocity.z });
+    }
+
+    shake(velocity) {
+        this.send('input', 'shake', { x: velocity.x, z: velocity.z });
+    }
+
+    setFirmness(firmness) {
+        this.send('input', 'setFirmness', firmness);
+    }
+
+    setGel(gel) {
+        this.send('input', 'setGel', { strength: gel.strength, sag: gel.sag });
+    }
+
+    /**
+     * options: { position, mass, size, vertices, outlineVertices, outlineScale }
+     */
+    addBody(id, options) {
+        const length = bodyFrameLength(options);
+        const channel = FrameChannel.create(length, this.shared);
+        const frame = new Float32Array(length);
+        const vertexEnd = BODY_SCALARS + options.vertices.length;
+
+        const state = {
+            channel,
+            frame,
+            sequence: 0,
+            position: { x: options.position.x, y: options.position.y, z: options.position.z },
+            rotation: { x: 0, y: 0, z: 0 },
+            deformed: false,
+            vertices: frame.subarray(BODY_SCALARS, vertexEnd),
+            outlineVertices: options.outlineVertices ? frame.subarray(vertexEnd) : null
+        };
+        this.bodies.set(id, state);
+
+        this.send('addBody', id, {
+            position: state.position,
+            mass: options.mass,
+            size: options.size,
+            vertices: options.vertices,
+            outlineVertices: options.outlineVertices || null,
+            outlineScale: options.outlineScale || 1
+        }, channel.buffer);
+
+        return state;
+    }
+
+    updateBody(id, changes) {
+        if (this.bodies.has(id)) this.send('updateBody', id, changes);
+    }
+
+    removeBody(id) {
+        if (this.bodies.delete(id)) this.send('removeBody', id);
+    }
+
+    /**
+     * Once per rendered frame: run the fallback if there is one, then pick
+     * up whatever the simulation published since last time.
+     */
+    update(frameDelta) {
+        this.tick(frameDelta);
+
+        const sequence = this.jelloChannel.read(this.jelloFrame, this.jelloSequence);
+        if (sequence !== -1) {
+            this.jelloSequence = sequence;
+
+            let o = 0;
+            for (const name of SPRING_NAMES) {
+                this.springs[name].position = this.jelloFrame[o++];
+                this.springs[name].velocity = this.jelloFrame[o++];
+            }
+            this.isWobbling = this.jelloFrame[o++] === 1;
+            this.time = this.jelloFrame[o++];
+        }
+
+        this.bodies.forEach(body => {
+            const bodySequence = body.channel.read(body.frame, body.sequence);
+            body.deformed = false;
+            if (bodySequence === -1) return;
+
+            body.sequence = bodySequence;
+            const frame = body.frame;
+            body.position.x = frame[0];
+            body.position.y = frame[1];
+            body.position.z = frame[2];
+            body.rotation.x = frame[3];
+            body.rotation.y = frame[4];
+            body.rotation.z = frame[5];
+            body.deformed = frame[6] === 1;
+        });
+
+        return sequence !== -1;
+    }
+
+    /**
+     * Done with this jello (e.g. it was cut into pieces) - stop simulating it
+     */
+    dispose() {
+        this.bodies.clear();
+    }
+}
+
+/**
+ * Fallback: the runner steps on the main thread inside update()
+ */
+class LocalPhysicsHost extends PhysicsHost {
+    constructor(setup) {
+        super(setup, false);
+        this.runner = new JelloPhysicsRunner(setup, this.jelloChannel.buffer);
+    }
+
+    send(type, ...args) {
+        this.runner[type](...args);
+    }
+
+    tick(frameDelta) {
+        this.runner.advance(frameDelta);
+    }
+}
+
+// Started with the first piece and kept for the page's lifetime - cuts,
+// scoops and re-pours only create and dispose runners in it
+let physicsWorker = null;
+let nextPieceId = 1;
+
+function sharedPhysicsWorker() {
+    if (!physicsWorker) {
+        physicsWorker = new Worker(new URL('./jello-physics-worker.js', import.meta.url), { type: 'module' });
+        physicsWorker.addEventListener('error', (event) => {
+            console.error('❌ Physics worker error:', event.message);
+        });
+    }
+    return physicsWorker;
+}
+
+/**
+ * The worker runs its own clock, so update() only reads. Messages carry
+ * this piece's id so the shared worker knows which runner they are for.
+ */
+class WorkerPhysicsHost extends PhysicsHost {
+    constructor(setup) {
+        super(setup, true);
+
+        this.piece = nextPieceId++;
+        this.worker = sharedPhysicsWorker();
+        this.worker.postMessage({
+            type: 'create',
+            piece: this.piece,
+            setup: { config: setup.config, jelloVertices: setup.jelloVertices, bubbles: setup.bubbles },
+            buffer: this.jelloChannel.buffer
+        });
+    }
+
+    send(type, ...args) {
+        this.worker.postMessage({ type, piece: this.piece, args });
+    }
+
+    tick() {}
+
+    dispose() {
+        super.dispose();
+        this.worker.postMessage({ type: 'dispose', piece: this.piece });
+    }
+}
+
+/**
+ * Pick the worker when shared memory is available, otherwise the main thread.
+ *
+ * setup: {
+ *   config         JelloWobble config (plain data - it is cloned to the worker)
+ *   jelloVertices  flat xyz positions of the jello geometry, for the soft-body binding
+ *   bubbles        flat [x, y, z, scale] per bubble
+ * }
+ */
+export function createPhysicsHost(setup) {
+    const full = { ...setup, vertexCount: setup.jelloVertices.length / 3 };
+    const canShare = typeof SharedArrayBuffer !== 'undefined' &&
+                     typeof Worker !== 'undefined' &&
+                     globalThis.crossOriginIsolated === true;
+
+    if (canShare) {
+        console.log('🧵 Jello physics running in a worker');
+        return new WorkerPhysicsHost(full);
+    }
+
+    console.log('🧵 Jello physics running on the main thread (page is not cross-origin isolated)');
+    return new LocalPhysicsHost(full);
+}
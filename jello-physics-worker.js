@@ -0,0 +1,68 @@
+/**
+ * Jello Physics Worker - steps the wobble on its own clock
+ *
+ * Started once by jello-physics-host.js and shared by every jello piece.
+ * Each piece gets a runner, created and disposed by message and keyed by
+ * the piece id its messages carry. All runners step on the same clock and
+ * publish frames through the shared buffers they were given, independent
+ * of the main thread's frame rate.
+ */
+
+import { JelloPhysicsRunner, RUNNER_MESSAGES } from './jello-physics-host.js';
+
+const TICK_MS = 4;         // Poll faster than the 120 Hz fixed step so frames land promptly
+const IDLE_TICK_MS = 250;  // Every piece has settled - inputs wake the clock anyway
+
+const runners = new Map();   // piece id -> JelloPhysicsRunner
+let lastTick = 0;
+let timer = null;
+let idle = false;
+
+function tick() {
+    const now = performance.now();
+    const frameDelta = (now - lastTick) / 1000;
+    lastTick = now;
+
+    idle = true;
+    runners.forEach(runner => {
+        runner.advance(frameDelta);
+        if (!runner.idle) idle = false;
+    });
+
+    // With every piece gone the clock stops until the next one arrives
+    timer = runners.size > 0 ? setTimeout(tick, idle ? IDLE_TICK_MS : TICK_MS) : null;
+}
+
+// An input for a settled piece: tick now instead of at the end of the idle wait
+function wake() {
+    if (!idle || timer === null) return;
+
+    clearTimeout(timer);
+    idle = false;
+    timer = setTimeout(tick, 0);
+}
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'create') {
+        runners.set(data.piece, new JelloPhysicsRunner(data.setup, data.buffer));
+        if (timer === null) {
+            lastTick = performance.now();
+            timer = setTimeout(tick, TICK_MS);
+        }
+        return;
+    }
+
+    if (data.type === 'dispose') {
+        runners.delete(data.piece);
+        return;
+    }
+
+    const runner = runners.get(data.piece);
+    if (!runner || !RUNNER_MESSAGES.includes(data.type)) {
+        console.warn('⚠️ Physics worker ignored message:', data.type, data.piece);
+        return;
+    }
+
+    runner[data.type](...data.args);
+    wake();
+});
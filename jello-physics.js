@@ -0,0 +1,741 @@
+/**
+ * Jello Physics - fixed-timestep integration for the wobble springs
+ *
+ * Frame deltas go into an accumulator and the simulation always advances
+ * in identical fixed steps, so the same click gives the same wobble at 30,
+ * 60 or 144 Hz. Damping is expressed per second instead of per frame.
+ *
+ * Every impulse is stamped with the simulation time it lands on. Replaying
+ * a list of timestamped impulses therefore reproduces a run step for step.
+ * With `record: true` the wobble keeps that list in `history` - off by
+ * default, since impulses keep streaming in for as long as the page is open.
+ * Grabbing and dragging the jello goes through the same log as
+ * 'grab' / 'drag' / 'release' impulses, so drags replay too.
+ *
+ * Moving the plate is a 'shake' impulse: the plate's change of speed,
+ * which the base follows and everything above it lags behind.
+ *
+ * Embedded objects are bodies: point masses tied to the gel around them by
+ * their own spring, so they trail, overshoot and settle slightly out of
+ * phase with the jello. Heavier bodies couple more loosely and lag more.
+ *
+ * Firmness (stiffness, damping, impulse strength, deformation limit) can
+ * change mid-wobble: it is logged like an impulse and blended in over a
+ * few tenths of a second, so the wobble carries over (jello-firmness.js).
+ * On top of that the gel itself can be liquid, setting or melting: its
+ * strength scales the firmness and its sag slumps the shape (jello-setting.js).
+ *
+ * No DOM or WebGL in here - it runs as-is in a worker or in Node
+ * (see jello-sim.js for the headless entry point).
+ */
+
+import { JelloSoftBody } from './jello-softbody.js';
+import { blendFirmness } from './jello-firmness.js';
+import { gelFirmness, sagPoint } from './jello-setting.js';
+
+export const FIXED_TIMESTEP = 1 / 120;     // Seconds per physics step
+export const MAX_STEPS_PER_FRAME = 8;      // Drop time rather than spiral after a long stall
+
+// Old behaviour was velocity *= 0.97 every 60 Hz frame: -ln(0.97) * 60
+export const DEFAULT_DAMPING = 1.83;       // Per second
+
+// Height-factor deformation - must match the jello vertex shader
+export const TILT_REACH = 0.5;             // Sideways shift at the top per unit of tilt
+export const SQUASH_REACH = 0.15;          // Horizontal scale at the top per unit of squash
+export const TWIST_STRENGTH = 0.35;        // Radians at the top per unit of twist
+
+// Poke mapping - click point and direction (local space) to spring velocities
+const POKE_TILT = 5.0;                     // Tilt velocity for a poke at the rim
+const POKE_SQUASH = 8.0;                   // Every poke squashes down
+const POKE_TWIST = 3.0;                    // Twist velocity per unit of torque
+const POKE_PUSH = 4.0;                     // Soft-body push along the poke direction
+const POKE_RIM = 1.5;                      // Distance from the axis that counts as the rim
+const POKE_TAP_STRENGTH = 1;               // A quick, still tap - a charged poke goes up to the firmness's cap
+
+// Per-vertex distortion of embedded object meshes (gentler than the gel itself)
+const OBJECT_TILT_REACH = 0.3;
+const OBJECT_SQUASH_REACH = 0.12;
+const OBJECT_TILT_ROTATION = 0.3;          // Radians of lean per unit of tilt
+const WOBBLE_THRESHOLD = 0.01;             // Below this the meshes are left alone
+const SETTLED_SPEED = 0.05;                // Spring and body speeds that count as stopped
+const SETTLED_ENERGY = 1e-5;               // Lattice kinetic energy that counts as stopped
+
+// Embedded body coupling
+const BODY_COUPLING = 90;                  // Spring stiffness between a body and the gel
+const BODY_DAMPING_RATIO = 0.3;            // Under 1 so bodies overshoot a little
+
+// Grab-and-drag tuning
+const MAX_DRAG_OFFSET = 0.6;               // Local units the grabbed point can be pulled
+const MAX_RELEASE_SPEED = 8;               // Local units per second
+const DRAG_TILT_SHARE = 0.6;               // Part of a drag taken by the global tilt, rest is local
+
+// Plate shakes
+const SHAKE_TILT_SHARE = 0.6;              // Part of the lag taken by the global tilt, rest by the lattice
+const MAX_SHAKE_SPEED = 8;                 // Local units per second of plate speed change
+
+const FIRMNESS_BLEND_TIME = 0.4;           // Seconds to blend into a new firmness
+
+/**
+ * How much of the wobble a point at height y takes: 0 at the base (y = -1),
+ * 1 at the top of a mold `height` tall, quadratic in between. The jello
+ * vertex shader uses the same curve.
+ */
+export function heightFactor(y, height = 2) {
+    const t = (y + 1.0) / height;
+    return t * t;
+}
+
+// Tilt moves a point by tilt * heightFactor * TILT_REACH (same as the vertex shader)
+function tiltReach(y, height) {
+    return Math.max(heightFactor(y, height) * TILT_REACH, 0.05);
+}
+
+function clampLength(v, max) {
+    const length = Math.hypot(v.x, v.y, v.z);
+    const scale = length > max ? max / length : 1;
+    return { x: v.x * scale, y: v.y * scale, z: v.z * scale };
+}
+
+/**
+ * Poke strength for how charged the poke is (0 for a quick tap, 1 for a
+ * long press or a fast swipe). A tap pokes as hard as a click always has;
+ * charging only adds to that, topped out at the firmness's pokeCap.
+ */
+export function pokeStrength(charge, cap = 1) {
+    const t = Math.min(Math.max(charge, 0), 1);
+    return POKE_TAP_STRENGTH + (Math.max(cap, POKE_TAP_STRENGTH) - POKE_TAP_STRENGTH) * t;
+}
+
+/**
+ * The impulse for a poke at a local-space point, pushing along `dir`
+ * (unit vector, e.g. the click ray). Off-centre pokes tip the top the way
+ * the push goes - away from the finger, with the dent - more the nearer the
+ * rim, and the torque of the push around the Y axis twists it, so a
+ * dead-centre poke only squashes. `strength` scales the whole thing.
+ */
+export function pokeImpulse(point, dir, strength = 1) {
+    const rim = Math.min(Math.hypot(point.x, point.z) / POKE_RIM, 1);
+
+    return {
+        // Tilt springs are sideways shifts of the top, like drags
+        tiltX: dir.x * rim * POKE_TILT * strength,
+        tiltZ: dir.z * rim * POKE_TILT * strength,
+        squash: -POKE_SQUASH * strength,
+        twist: (point.z * dir.x - point.x * dir.z) * POKE_TWIST * strength,
+
+        // Soft body: dent the lattice locally, pushing along the poke
+        point: { x: point.x, y: point.y, z: point.z },
+        push: {
+            x: dir.x * POKE_PUSH * strength,
+            y: dir.y * POKE_PUSH * strength,
+            z: dir.z * POKE_PUSH * strength
+        }
+    };
+}
+
+/**
+ * Advance one damped spring by dt (semi-implicit Euler): the velocity is
+ * updated first and the position uses the new velocity, which keeps an
+ * undamped spring's energy bounded instead of slowly blowing up.
+ * The spring rests at `target` (0 unless something is holding it).
+ */
+export function stepSpring(spring, dt, damping = DEFAULT_DAMPING) {
+    const c = spring.damping !== undefined ? spring.damping : damping;
+    const rest = spring.target || 0;
+    spring.velocity += (-(spring.position - rest) * spring.stiffness - spring.velocity * c) * dt;
+    spring.position += spring.velocity * dt;
+}
+
+export class JelloWobble {
+    constructor(config = {}) {
+        this.timestep = config.timestep || FIXED_TIMESTEP;
+
+        // A firmness profile overrides the plain stiffness/damping options
+        const firmness = config.firmness || {};
+        const stiffness = { tiltX: 25, tiltZ: 25, squash: 45, twist: 15, ...config.stiffness, ...firmness.stiffness };
+        const damping = firmness.damping !== undefined ? firmness.damping :
+                        config.damping !== undefined ? config.damping : DEFAULT_DAMPING;
+
+        // Multiple wobble modes with independent spring systems
+        this.springs = {
+            // Tilt wobble (x and z rotation) - slow rocking
+            tiltX: { position: 0, velocity: 0, stiffness: stiffness.tiltX },
+            tiltZ: { position: 0, velocity: 0, stiffness: stiffness.tiltZ },
+
+            // Squash wobble (y scale oscillation) - medium speed
+            squash: { position: 0, velocity: 0, stiffness: stiffness.squash },
+
+            // Twist wobble (y rotation) - very slow
+            twist: { position: 0, velocity: 0, stiffness: stiffness.twist }
+        };
+
+        // Height of the mold (jello-molds.js) - the wobble grows over it
+        const mold = config.softBody && config.softBody.mold;
+        this.height = config.height || (mold ? mold.height : 2);
+
+        // Optional soft-body lattice, built from plain options so replays are self-contained
+        this.softBodyConfig = config.softBody || null;
+        this.softBody = this.softBodyConfig ? new JelloSoftBody(this.softBodyConfig) : null;
+        this.latticeSprings = this.softBody ? JSON.parse(JSON.stringify(this.softBody.springs)) : null;
+
+        // Everything a firmness profile controls, and the blend towards a new one
+        this.firmness = {
+            stiffness,
+            damping,
+            impulseStrength: firmness.impulseStrength || 1,
+            maxDeformation: firmness.maxDeformation || Infinity,
+            lattice: firmness.lattice || 1
+        };
+        this.firmnessBlend = null;  // { from, to, elapsed }
+
+        // Set (strength 1) and holding its shape (sag 0) unless told otherwise
+        this.gel = { strength: 1, sag: 0, ...config.gel };
+        this.applyFirmness();
+
+        this.stepCount = 0;
+        this.time = 0;
+        this.accumulator = 0;
+
+        this.pending = [];   // Impulses waiting for their step
+        this.history = config.record ? [] : null;  // Every impulse applied so far, for replay
+
+        this.grabbed = null; // { point } while the pointer holds the jello
+
+        this.bodies = new Map();  // Embedded objects by id
+    }
+
+    /**
+     * Where a rest-space point ends up under the current wobble: slumped
+     * by the gel's sag, then tilt, squash and twist by height (quadratic,
+     * none at the base) plus the local soft-body displacement.
+     */
+    deformPoint(x, y, z, out = { x: 0, y: 0, z: 0 }) {
+        const { tiltX, tiltZ, squash } = this.springs;
+
+        // Same order as the shader: sag the rest shape, then wobble it
+        let px = x, py = y, pz = z;
+        if (this.gel.sag > 0) {
+            const sagged = sagPoint(x, y, z, this.gel.sag, this.height, this._sagSample || (this._sagSample = {}));
+            px = sagged.x;
+            py = sagged.y;
+            pz = sagged.z;
+        }
+
+        const factor = heightFactor(py, this.height);
+
+        const squashScale = 1.0 + squash.position * factor * SQUASH_REACH;
+        const wobbledX = (px + tiltX.position * factor * TILT_REACH) * squashScale;
+        const wobbledZ = (pz + tiltZ.position * factor * TILT_REACH) * squashScale;
+
+        const angle = this.twistAngleAt(py);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        let softX = 0, softY = 0, softZ = 0;
+        if (this.softBody) {
+            const soft = this.softBody.sampleDisplacement(x, y, z, this._softSample || (this._softSample = {}));
+            softX = soft.x;
+            softY = soft.y;
+            softZ = soft.z;
+        }
+
+        out.x = cos * wobbledX + sin * wobbledZ + softX;
+        out.y = py + softY;
+        out.z = -sin * wobbledX + cos * wobbledZ + softZ;
+        return out;
+    }
+
+    /**
+     * Twist angle at a given height, in radians
+     */
+    twistAngleAt(y) {
+        return this.springs.twist.position * heightFactor(y, this.height) * TWIST_STRENGTH;
+    }
+
+    /**
+     * Is anything moving enough to be worth re-deforming meshes for?
+     */
+    isWobbling(threshold = WOBBLE_THRESHOLD) {
+        const { tiltX, tiltZ, squash, twist } = this.springs;
+        return Math.abs(tiltX.position) > threshold ||
+               Math.abs(tiltZ.position) > threshold ||
+               Math.abs(squash.position) > threshold ||
+               Math.abs(twist.position) > threshold;
+    }
+
+    /**
+     * Has everything come to rest? Unlike isWobbling() this also wants the
+     * springs slow (not just passing through zero), the lattice and bodies
+     * still, and nothing held, blending or waiting to land - stepping on
+     * would change nothing worth drawing until the next impulse.
+     */
+    isSettled() {
+        if (this.pending.length > 0 || this.grabbed || this.firmnessBlend || this.isWobbling()) return false;
+
+        for (const name in this.springs) {
+            if (Math.abs(this.springs[name].velocity) > SETTLED_SPEED) return false;
+        }
+
+        if (this.softBody && this.softBody.kineticEnergy() > SETTLED_ENERGY) return false;
+
+        for (const { offset, velocity } of this.bodies.values()) {
+            if (Math.hypot(offset.x, offset.y, offset.z) > WOBBLE_THRESHOLD ||
+                Math.hypot(velocity.x, velocity.y, velocity.z) > SETTLED_SPEED) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Lean and turn of an embedded object whose centre rests at height restY
+     */
+    objectRotation(restY, out = { x: 0, y: 0, z: 0 }) {
+        out.x = this.springs.tiltZ.position * OBJECT_TILT_ROTATION;
+        out.y = this.twistAngleAt(restY);
+        out.z = -this.springs.tiltX.position * OBJECT_TILT_ROTATION;
+        return out;
+    }
+
+    /**
+     * Per-vertex distortion of an embedded object's mesh, in the mesh's own
+     * space (flat xyz arrays). The object already turns by the twist at its
+     * centre, so vertices only take the difference along their height.
+     *
+     * options.scale - the mesh's scale relative to the object (outline shell)
+     * options.wave  - add the subtle organic wave (object itself only)
+     */
+    deformObjectVertices(originals, out, restY, size, options = {}) {
+        const scale = options.scale || 1;
+        const wave = options.wave !== false;
+        const { tiltX, tiltZ, squash } = this.springs;
+        const centreAngle = this.twistAngleAt(restY);
+
+        for (let i = 0; i < originals.length; i += 3) {
+            const ox = originals[i];
+            const oy = originals[i + 1];
+            const oz = originals[i + 2];
+
+            // Height factor matching jello shader, at the vertex's height in the jello
+            const worldY = (oy / scale) * size + restY;
+            const factor = heightFactor(worldY, this.height);
+
+            // Tilt wobble (horizontal displacement)
+            let x = ox + tiltX.position * factor * OBJECT_TILT_REACH * scale;
+            let y = oy;
+            let z = oz + tiltZ.position * factor * OBJECT_TILT_REACH * scale;
+
+            // Squash wobble (scale)
+            const squashScale = 1.0 + squash.position * factor * OBJECT_SQUASH_REACH;
+            x *= squashScale;
+            z *= squashScale;
+
+            // Twist wobble, relative to the centre
+            const twist = this.twistAngleAt(worldY) - centreAngle;
+            const cos = Math.cos(twist);
+            const sin = Math.sin(twist);
+            const twistedX = cos * x + sin * z;
+            z = -sin * x + cos * z;
+            x = twistedX;
+
+            // Subtle wave distortion for more organic feel (simulation time, so it replays)
+            if (wave) {
+                y += Math.sin(this.time * 2 + ox * 3) * squash.position * 0.02;
+            }
+
+            out[i] = x;
+            out[i + 1] = y;
+            out[i + 2] = z;
+        }
+    }
+
+    /**
+     * Instance matrices for bubbles that ride along with the gel.
+     * bubbles: flat [x, y, z, scale] per bubble; out: 16 floats per bubble
+     * (column-major translation + uniform scale, as Three.js expects).
+     */
+    writeBubbleMatrices(bubbles, out) {
+        const point = this._bubbleSample || (this._bubbleSample = {});
+
+        for (let b = 0; b < bubbles.length / 4; b++) {
+            this.deformPoint(bubbles[b * 4], bubbles[b * 4 + 1], bubbles[b * 4 + 2], point);
+            const scale = bubbles[b * 4 + 3];
+            const m = b * 16;
+
+            out.fill(0, m, m + 16);
+            out[m] = scale;
+            out[m + 5] = scale;
+            out[m + 10] = scale;
+            out[m + 12] = point.x;
+            out[m + 13] = point.y;
+            out[m + 14] = point.z;
+            out[m + 15] = 1;
+        }
+    }
+
+    /**
+     * Add an embedded object at a rest-space position. Mass sets how
+     * loosely it follows the gel: natural frequency is sqrt(coupling / mass).
+     */
+    addBody(id, position, mass = 1) {
+        const body = {
+            rest: { x: position.x, y: position.y, z: position.z },
+            mass,
+            offset: { x: 0, y: 0, z: 0 },     // Displacement from rest
+            velocity: { x: 0, y: 0, z: 0 },
+            gel: null                          // Gel displacement at rest, last step
+        };
+        this.bodies.set(id, body);
+        return body;
+    }
+
+    removeBody(id) {
+        this.bodies.delete(id);
+    }
+
+    setBodyRest(id, position) {
+        const body = this.bodies.get(id);
+        if (!body) return;
+
+        body.rest = { x: position.x, y: position.y, z: position.z };
+        body.gel = null;
+    }
+
+    setBodyMass(id, mass) {
+        const body = this.bodies.get(id);
+        if (body) body.mass = mass;
+    }
+
+    /**
+     * Current position of a body (rest + its own lagging displacement)
+     */
+    bodyPosition(id, out = { x: 0, y: 0, z: 0 }) {
+        const body = this.bodies.get(id);
+        if (!body) return null;
+
+        out.x = body.rest.x + body.offset.x;
+        out.y = body.rest.y + body.offset.y;
+        out.z = body.rest.z + body.offset.z;
+        return out;
+    }
+
+    /**
+     * Queue an impulse for the next fixed step.
+     *
+     * impulse: { tiltX, tiltZ, squash, twist } velocity changes, plus an
+     * optional local `point` and `push` vector for the soft body.
+     * Grab/drag/release use `type` - see grab(), drag() and release().
+     * Returns the stamped copy (kept in `history` when recording).
+     */
+    applyImpulse(impulse) {
+        const stamped = { ...impulse, time: this.time };
+        this.pending.push(stamped);
+        if (this.history) this.history.push(stamped);
+        return stamped;
+    }
+
+    /**
+     * Take hold of the jello at a local-space surface point
+     */
+    grab(point) {
+        return this.applyImpulse({ type: 'grab', point: { x: point.x, y: point.y, z: point.z } });
+    }
+
+    /**
+     * Move the held point by `offset` (local units, relative to where it was grabbed)
+     */
+    drag(offset) {
+        return this.applyImpulse({ type: 'drag', offset: { x: offset.x, y: offset.y, z: offset.z } });
+    }
+
+    /**
+     * Let go. `velocity` is the pointer speed at release (local units/s),
+     * which becomes extra wobble energy on top of the snap back.
+     */
+    release(velocity = { x: 0, y: 0, z: 0 }) {
+        return this.applyImpulse({ type: 'release', velocity: { x: velocity.x, y: velocity.y, z: velocity.z } });
+    }
+
+    /**
+     * The plate under the jello changed speed by `velocity` (local units/s).
+     * The base goes along with it and everything above lags behind.
+     */
+    shake(velocity) {
+        return this.applyImpulse({ type: 'shake', velocity: { x: velocity.x, y: 0, z: velocity.z } });
+    }
+
+    /**
+     * Switch to another firmness profile (see jello-firmness.js). Lands on
+     * the next step like an impulse, then blends in over FIRMNESS_BLEND_TIME.
+     */
+    setFirmness(firmness) {
+        return this.applyImpulse({
+            type: 'firmness',
+            firmness: {
+                stiffness: { ...firmness.stiffness },
+                damping: firmness.damping,
+                impulseStrength: firmness.impulseStrength,
+                maxDeformation: firmness.maxDeformation,
+                lattice: firmness.lattice
+            }
+        });
+    }
+
+    /**
+     * Change the gel's state (see jello-setting.js): { strength, sag }.
+     * Logged like an impulse so setting and melting replay too.
+     */
+    setGel(gel) {
+        return this.applyImpulse({ type: 'gel', gel: { strength: gel.strength, sag: gel.sag } });
+    }
+
+    /**
+     * Feed one frame's real elapsed time. Returns how many steps ran.
+     */
+    advance(frameDelta) {
+        this.accumulator += frameDelta;
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep && steps < MAX_STEPS_PER_FRAME) {
+            this.step();
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+
+        if (steps === MAX_STEPS_PER_FRAME) {
+            // Tab was hidden or the frame stalled - don't try to catch up
+            this.accumulator = Math.min(this.accumulator, this.timestep);
+        }
+
+        return steps;
+    }
+
+    /**
+     * One fixed step: land any due impulses, then integrate
+     */
+    step() {
+        const dt = this.timestep;
+
+        while (this.pending.length > 0 && this.stepIndexOf(this.pending[0]) <= this.stepCount) {
+            this.landImpulse(this.pending.shift());
+        }
+
+        if (this.firmnessBlend) this.stepFirmnessBlend(dt);
+
+        for (const name in this.springs) {
+            stepSpring(this.springs[name], dt, this.damping);
+            this.limitSpring(this.springs[name]);
+        }
+
+        if (this.softBody) this.softBody.step(dt);
+
+        this.bodies.forEach(body => this.stepBody(body, dt));
+
+        this.stepCount++;
+        this.time = this.stepCount * dt;
+    }
+
+    /**
+     * A body is a damped spring from its own displacement to the gel's
+     * displacement at its rest point. Damping acts on the speed relative
+     * to the gel, so a body carried along steadily doesn't fall behind.
+     */
+    stepBody(body, dt) {
+        const { rest, offset, velocity } = body;
+        const point = this.deformPoint(rest.x, rest.y, rest.z, this._bodySample || (this._bodySample = {}));
+        const gel = { x: point.x - rest.x, y: point.y - rest.y, z: point.z - rest.z };
+        const previous = body.gel || gel;
+        body.gel = gel;
+
+        const stiffness = BODY_COUPLING / body.mass;
+        const damping = (2 * BODY_DAMPING_RATIO * Math.sqrt(BODY_COUPLING * body.mass)) / body.mass;
+
+        for (const axis of ['x', 'y', 'z']) {
+            const gelVelocity = (gel[axis] - previous[axis]) / dt;
+            velocity[axis] += (
+                (gel[axis] - offset[axis]) * stiffness -
+                (velocity[axis] - gelVelocity) * damping
+            ) * dt;
+            offset[axis] += velocity[axis] * dt;
+        }
+    }
+
+    /**
+     * Hold a wobble mode within maxDeformation - it stops at the limit
+     * rather than bouncing off it
+     */
+    limitSpring(spring) {
+        const limit = this.maxDeformation;
+        if (spring.position > limit) {
+            spring.position = limit;
+            spring.velocity = Math.min(spring.velocity, 0);
+        } else if (spring.position < -limit) {
+            spring.position = -limit;
+            spring.velocity = Math.max(spring.velocity, 0);
+        }
+    }
+
+    /**
+     * Set the springs, damping and limits from the firmness profile,
+     * scaled by how set the gel is, right away
+     */
+    applyFirmness() {
+        const values = gelFirmness(this.firmness, this.gel.strength);
+
+        for (const name in this.springs) {
+            this.springs[name].stiffness = values.stiffness[name];
+        }
+        this.damping = values.damping;
+        this.impulseStrength = values.impulseStrength;
+        this.maxDeformation = values.maxDeformation;
+
+        if (this.softBody) {
+            for (const name in this.latticeSprings) {
+                const base = this.latticeSprings[name];
+                this.softBody.setSpringClass(name, {
+                    stiffness: base.stiffness * values.lattice,
+                    damping: base.damping * Math.sqrt(values.lattice)  // Keeps the damping ratio
+                });
+            }
+        }
+    }
+
+    stepFirmnessBlend(dt) {
+        const blend = this.firmnessBlend;
+        blend.elapsed += dt;
+
+        const t = Math.min(blend.elapsed / FIRMNESS_BLEND_TIME, 1);
+        const eased = t * t * (3 - 2 * t);
+        this.firmness = t < 1 ? blendFirmness(blend.from, blend.to, eased) : blend.to;
+        this.applyFirmness();
+
+        if (t === 1) this.firmnessBlend = null;
+    }
+
+    stepIndexOf(impulse) {
+        return Math.round(impulse.time / this.timestep);
+    }
+
+    landImpulse(impulse) {
+        switch (impulse.type) {
+            case 'grab': return this.landGrab(impulse.point);
+            case 'drag': return this.landDrag(impulse.offset);
+            case 'release': return this.landRelease(impulse.velocity);
+            case 'firmness': return this.landFirmness(impulse.firmness);
+            case 'gel': return this.landGel(impulse.gel);
+            case 'shake': return this.landShake(impulse.velocity);
+        }
+
+        // Softer jello moves further for the same poke
+        const strength = this.impulseStrength;
+
+        for (const name in this.springs) {
+            if (impulse[name]) this.springs[name].velocity += impulse[name] * strength;
+        }
+
+        if (this.softBody && impulse.point && impulse.push) {
+            const { x, y, z } = impulse.push;
+            this.softBody.poke(impulse.point, { x: x * strength, y: y * strength, z: z * strength });
+        }
+    }
+
+    landFirmness(firmness) {
+        // Blend from wherever we are now, even part way through another blend
+        this.firmnessBlend = { from: this.firmness, to: firmness, elapsed: 0 };
+    }
+
+    landGel(gel) {
+        this.gel = { strength: gel.strength, sag: gel.sag };
+        this.applyFirmness();
+    }
+
+    landShake(velocity) {
+        // Seen from the plate, everything above the pinned base is kicked the other way
+        const strength = this.impulseStrength;
+        const kick = clampLength(velocity, MAX_SHAKE_SPEED);
+        const x = -kick.x * strength;
+        const z = -kick.z * strength;
+
+        // Tilt velocity that moves the top at the kick speed
+        this.springs.tiltX.velocity += (x * SHAKE_TILT_SHARE) / TILT_REACH;
+        this.springs.tiltZ.velocity += (z * SHAKE_TILT_SHARE) / TILT_REACH;
+
+        if (this.softBody) {
+            this.softBody.nudge({ x: x * (1 - SHAKE_TILT_SHARE), y: 0, z: z * (1 - SHAKE_TILT_SHARE) });
+        }
+
+        // Bodies carry on at their old speed too, then their spring catches them up
+        this.bodies.forEach(body => {
+            body.velocity.x += x;
+            body.velocity.z += z;
+        });
+    }
+
+    landGrab(point) {
+        this.grabbed = { point };
+        if (this.softBody) this.softBody.setAnchor(point);
+    }
+
+    landDrag(offset) {
+        if (!this.grabbed) return;
+
+        const { x, y, z } = clampLength(offset, MAX_DRAG_OFFSET);
+        const reach = tiltReach(this.grabbed.point.y, this.height);
+
+        // Global tilt follows part of the drag, the lattice pulls out the rest locally
+        this.springs.tiltX.target = (x * DRAG_TILT_SHARE) / reach;
+        this.springs.tiltZ.target = (z * DRAG_TILT_SHARE) / reach;
+
+        if (this.softBody) {
+            this.softBody.setAnchorOffset({
+                x: x * (1 - DRAG_TILT_SHARE),
+                y,
+                z: z * (1 - DRAG_TILT_SHARE)
+            });
+        }
+    }
+
+    landRelease(velocity) {
+        if (!this.grabbed) return;
+
+        // Softer jello flings further, like pokes
+        const strength = this.impulseStrength;
+        const fling = clampLength(velocity, MAX_RELEASE_SPEED);
+        const v = { x: fling.x * strength, y: fling.y * strength, z: fling.z * strength };
+        const reach = tiltReach(this.grabbed.point.y, this.height);
+
+        this.springs.tiltX.target = 0;
+        this.springs.tiltZ.target = 0;
+        this.springs.tiltX.velocity += (v.x * DRAG_TILT_SHARE) / reach;
+        this.springs.tiltZ.velocity += (v.z * DRAG_TILT_SHARE) / reach;
+
+        if (this.softBody) {
+            this.softBody.clearAnchor();
+            this.softBody.poke(this.grabbed.point, {
+                x: v.x * (1 - DRAG_TILT_SHARE),
+                y: v.y,
+                z: v.z * (1 - DRAG_TILT_SHARE)
+            });
+        }
+
+        this.grabbed = null;
+    }
+
+    /**
+     * Re-run a recorded list of timestamped impulses from rest.
+     * Same config + same impulses = same state at every step.
+     */
+    static replay(impulses, duration, config = {}) {
+        const wobble = new JelloWobble({ ...config, record: true });
+        wobble.pending = impulses
+            .map(impulse => ({ ...impulse }))
+            .sort((a, b) => a.time - b.time);
+        wobble.history = wobble.pending.slice();
+
+        const steps = Math.round(duration / wobble.timestep);
+        for (let i = 0; i < steps; i++) {
+            wobble.step();
+        }
+
+        return wobble;
+    }
+}
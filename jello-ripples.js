@@ -0,0 +1,176 @@
+/**
+ * Jello Ripples - surface waves running out from where the jello was hit
+ *
+ * A small ring buffer of recent impacts, each with a rest-space position,
+ * the time it happened and a strength. The vertex shader turns every one
+ * into a ring-shaped wave that travels outward and fades, and adds them
+ * all up - so pokes in quick succession interfere instead of merging into
+ * one tilt. The newest impact overwrites the oldest.
+ *
+ * rippleOffset() and rippleSlope() are the same wave in JavaScript (and
+ * RIPPLE_GLSL the shader side); keep them in step. The slope is what
+ * turns the lighting normals with the wave.
+ */
+
+export const MAX_RIPPLES = 8;
+export const RIPPLE_SPEED = 1.6;       // Units per second the ring travels
+export const RIPPLE_WAVELENGTH = 0.35;
+export const RIPPLE_AMPLITUDE = 0.06;  // Per unit of strength, at the impact
+export const RIPPLE_DECAY = 1.6;       // Per second
+export const RIPPLE_FALLOFF = 1.5;     // How quickly the ring weakens as it spreads
+
+// Ripples push out from a point low in the jello's middle - a direction that
+// depends on position only, so seams between faces can't open up
+const RIPPLE_CORE_Y = -0.5;
+
+export class JelloRipples {
+    constructor() {
+        // Uniform values: [x, y, z, strength] and the time of each impact
+        this.impacts = new Float32Array(MAX_RIPPLES * 4);
+        this.times = new Float32Array(MAX_RIPPLES);
+        this.next = 0;
+    }
+
+    add(point, strength, time) {
+        const i = this.next;
+        this.impacts[i * 4] = point.x;
+        this.impacts[i * 4 + 1] = point.y;
+        this.impacts[i * 4 + 2] = point.z;
+        this.impacts[i * 4 + 3] = strength;
+        this.times[i] = time;
+        this.next = (i + 1) % MAX_RIPPLES;
+    }
+}
+
+/**
+ * Height of one impact's wave at a distance `distance` from it, `age`
+ * seconds after it happened. Nothing ahead of the front.
+ */
+export function rippleWave(distance, age, strength) {
+    const phase = distance - age * RIPPLE_SPEED;
+    if (age < 0 || phase > 0 || strength === 0) return 0;
+
+    // Eases in just behind the front, so the leading edge has no step
+    const lead = Math.min(-phase / RIPPLE_WAVELENGTH, 1);
+    const envelope = lead * lead * (3 - 2 * lead) *
+                     Math.exp(-age * RIPPLE_DECAY) / (1 + distance * RIPPLE_FALLOFF);
+
+    return strength * RIPPLE_AMPLITUDE * envelope * Math.sin((2 * Math.PI * phase) / RIPPLE_WAVELENGTH);
+}
+
+/**
+ * How fast rippleWave() changes with distance
+ */
+function rippleWaveSlope(distance, age, strength) {
+    const phase = distance - age * RIPPLE_SPEED;
+    if (age < 0 || phase > 0 || strength === 0) return 0;
+
+    const lead = Math.min(-phase / RIPPLE_WAVELENGTH, 1);
+    const ease = lead * lead * (3 - 2 * lead);
+    const easeSlope = lead < 1 ? -6 * lead * (1 - lead) / RIPPLE_WAVELENGTH : 0;
+    const spread = 1 / (1 + distance * RIPPLE_FALLOFF);
+    const spreadSlope = -RIPPLE_FALLOFF * spread * spread;
+    const k = (2 * Math.PI) / RIPPLE_WAVELENGTH;
+    const wave = Math.sin(k * phase);
+
+    return strength * RIPPLE_AMPLITUDE * Math.exp(-age * RIPPLE_DECAY) *
+           (easeSlope * spread * wave + ease * spreadSlope * wave + ease * spread * k * Math.cos(k * phase));
+}
+
+/**
+ * Summed ripple displacement of a rest-space point at `time` (outward,
+ * see RIPPLE_CORE_Y), in a jello `height` tall. The base stays on the plate.
+ */
+export function rippleOffset(ripples, time, x, y, z, height = 2) {
+    let offset = 0;
+    for (let i = 0; i < MAX_RIPPLES; i++) {
+        const distance = Math.hypot(
+            x - ripples.impacts[i * 4],
+            y - ripples.impacts[i * 4 + 1],
+            z - ripples.impacts[i * 4 + 2]
+        );
+        offset += rippleWave(distance, time - ripples.times[i], ripples.impacts[i * 4 + 3]);
+    }
+    return offset * (y + 1) / height;
+}
+
+/**
+ * Gradient of rippleOffset() at a rest-space point - { x, y, z }
+ */
+export function rippleSlope(ripples, time, x, y, z, height = 2) {
+    const rise = (y + 1) / height;
+    const slope = { x: 0, y: 0, z: 0 };
+    let offset = 0;
+
+    for (let i = 0; i < MAX_RIPPLES; i++) {
+        const dx = x - ripples.impacts[i * 4];
+        const dy = y - ripples.impacts[i * 4 + 1];
+        const dz = z - ripples.impacts[i * 4 + 2];
+        const distance = Math.hypot(dx, dy, dz);
+        const age = time - ripples.times[i];
+        const strength = ripples.impacts[i * 4 + 3];
+
+        offset += rippleWave(distance, age, strength);
+        if (distance > 0) {
+            const along = rippleWaveSlope(distance, age, strength) * rise / distance;
+            slope.x += dx * along;
+            slope.y += dy * along;
+            slope.z += dz * along;
+        }
+    }
+
+    slope.y += offset / height;
+    return slope;
+}
+
+// Uniforms and functions for the jello vertex shader - mirrors rippleOffset()
+// and rippleSlope()
+export const RIPPLE_GLSL = `
+    #define RIPPLE_COUNT ${MAX_RIPPLES}
+    uniform vec4 rippleImpacts[RIPPLE_COUNT];  // xyz, strength
+    uniform float rippleTimes[RIPPLE_COUNT];
+    uniform float rippleTime;
+
+    // The wave and how fast it changes with distance
+    vec2 rippleWave(float dist, float age, float strength) {
+        float phase = dist - age * ${RIPPLE_SPEED.toFixed(4)};
+        if (age < 0.0 || phase > 0.0 || strength == 0.0) return vec2(0.0);
+
+        float lead = min(-phase / ${RIPPLE_WAVELENGTH.toFixed(4)}, 1.0);
+        float ease = lead * lead * (3.0 - 2.0 * lead);
+        float easeSlope = lead < 1.0 ? -6.0 * lead * (1.0 - lead) / ${RIPPLE_WAVELENGTH.toFixed(4)} : 0.0;
+        float spread = 1.0 / (1.0 + dist * ${RIPPLE_FALLOFF.toFixed(4)});
+        float spreadSlope = -${RIPPLE_FALLOFF.toFixed(4)} * spread * spread;
+        float k = 6.28318530718 / ${RIPPLE_WAVELENGTH.toFixed(4)};
+        float wave = sin(k * phase);
+        float size = strength * ${RIPPLE_AMPLITUDE.toFixed(4)} * exp(-age * ${RIPPLE_DECAY.toFixed(4)});
+
+        return size * vec2(
+            ease * spread * wave,
+            easeSlope * spread * wave + ease * spreadSlope * wave + ease * spread * k * cos(k * phase)
+        );
+    }
+
+    // Summed displacement at a rest-space point, and its gradient
+    float rippleOffset(vec3 rest, float height, out vec3 slope) {
+        float rise = (rest.y + 1.0) / height;
+        float offset = 0.0;
+        slope = vec3(0.0);
+
+        for (int i = 0; i < RIPPLE_COUNT; i++) {
+            vec3 away = rest - rippleImpacts[i].xyz;
+            float dist = length(away);
+            vec2 wave = rippleWave(dist, rippleTime - rippleTimes[i], rippleImpacts[i].w);
+            offset += wave.x;
+            if (dist > 0.0) slope += away * (wave.y * rise / dist);
+        }
+
+        slope.y += offset / height;
+        return offset * rise;
+    }
+
+    // The direction ripples push in
+    vec3 rippleOutward(vec3 rest) {
+        return normalize(rest - vec3(0.0, ${RIPPLE_CORE_Y.toFixed(4)}, 0.0));
+    }
+`;
@@ -0,0 +1,176 @@
+/**
+ * Jello Setting - the gel's life from liquid to set and (optionally) back
+ *
+ * A timeline of phases: freshly poured liquid sloshes in its mould, sets
+ * into the springy solid, and - left at room temperature - melts and
+ * slumps into a puddle. The timeline can play or be scrubbed to any point.
+ *
+ * Along the way two numbers describe the gel:
+ *
+ *   strength  0 (liquid) .. 1 (fully set) - scales the firmness profile
+ *   sag       0 (holds its shape) .. 1 (slumped) - only while melting,
+ *             a setting jello is still held by its mould
+ *
+ * Everything here is pure - the physics applies strength and sag
+ * (JelloWobble.setGel) and the shader uses sag and the gel opacity.
+ */
+
+import { blendFirmness } from './jello-firmness.js';
+
+export const SETTING_PHASES = [
+    { state: 'liquid', duration: 1.5 },    // Just poured
+    { state: 'setting', duration: 8 },     // Gelling up
+    { state: 'set', duration: 6 },         // Holds this long before melting
+    { state: 'melting', duration: 10 },    // Softens and slumps
+    { state: 'melted', duration: 2 }
+];
+
+// How the gel behaves as a liquid - blended towards the firmness profile as it sets
+const LIQUID = {
+    stiffness: { tiltX: 3, tiltZ: 3, squash: 6, twist: 2 },
+    damping: 0.8,             // Sloshes for a long time
+    impulseStrength: 1.6,
+    maxDeformation: 2.0,
+    lattice: 0.3
+};
+
+const LIQUID_OPACITY = 0.55;  // Warm gelatin is clearer than set jello
+
+// Slumped shape at sag = 1 (see sagPoint) - the jello vertex shader does the same
+export const SAG_DROP = 0.45;        // Share of the height lost
+export const SAG_SPREAD = 0.45;      // Extra radius at the base (half that at the top)
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+/**
+ * Firmness values for a gel of the given strength (1 = the profile as-is)
+ */
+export function gelFirmness(firmness, strength) {
+    if (strength >= 1) return firmness;
+    return blendFirmness(LIQUID, firmness, Math.max(strength, 0));
+}
+
+/**
+ * Move a rest-space point (jello from y = -1 up to a mold `height` tall) to
+ * where it sits when the jello has slumped by `sag`. The base stays on the plate.
+ */
+export function sagPoint(x, y, z, sag, height = 2, out = { x: 0, y: 0, z: 0 }) {
+    const h = (y + 1.0) / height;
+    const spread = 1.0 + sag * SAG_SPREAD * (1.0 - 0.5 * h);
+
+    out.x = x * spread;
+    out.y = -1.0 + (y + 1.0) * (1.0 - sag * SAG_DROP);
+    out.z = z * spread;
+    return out;
+}
+
+export class JelloSetting {
+    constructor(config = {}) {
+        this.melt = config.melt || false;   // Left at room temperature?
+        this.speed = config.speed || 1;
+        this.playing = false;
+
+        // Starts out set, like the jello has always been
+        this.time = config.time !== undefined ? config.time : this.setTime();
+    }
+
+    /**
+     * Timeline seconds at which the jello is fully set
+     */
+    setTime() {
+        return SETTING_PHASES[0].duration + SETTING_PHASES[1].duration;
+    }
+
+    /**
+     * Length of the timeline - it ends once set unless it is allowed to melt
+     */
+    get duration() {
+        if (!this.melt) return this.setTime();
+        return SETTING_PHASES.reduce((sum, phase) => sum + phase.duration, 0);
+    }
+
+    /**
+     * Current phase and how far through it (0..1)
+     */
+    phase() {
+        let start = 0;
+        for (const phase of SETTING_PHASES) {
+            if (this.time < start + phase.duration) {
+                return { state: phase.state, progress: (this.time - start) / phase.duration };
+            }
+            start += phase.duration;
+        }
+        return { state: 'melted', progress: 1 };
+    }
+
+    get state() {
+        return this.phase().state;
+    }
+
+    /**
+     * Restart from freshly poured liquid and play
+     */
+    pour() {
+        this.time = 0;
+        this.playing = true;
+    }
+
+    play() {
+        if (this.time >= this.duration) this.time = 0;
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    scrub(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+    }
+
+    setMelt(melt) {
+        this.melt = melt;
+        this.scrub(this.time);  // Turning melting off ends the timeline at "set"
+        if (melt && this.time >= this.setTime()) this.playing = true;
+    }
+
+    advance(dt) {
+        if (!this.playing) return;
+
+        this.time = Math.min(this.time + dt * this.speed, this.duration);
+        if (this.time >= this.duration) this.playing = false;
+    }
+
+    /**
+     * { state, strength, sag, opacity } at the current time
+     */
+    properties() {
+        const { state, progress } = this.phase();
+        let strength = 1;
+        let sag = 0;
+
+        switch (state) {
+            case 'liquid':
+                strength = 0;
+                break;
+            case 'setting':
+                strength = smoothstep(progress);
+                break;
+            case 'melting':
+                strength = 1 - smoothstep(progress);
+                sag = smoothstep(progress);
+                break;
+            case 'melted':
+                strength = 0;
+                sag = 1;
+                break;
+        }
+
+        return {
+            state,
+            strength,
+            sag,
+            opacity: LIQUID_OPACITY + (1 - LIQUID_OPACITY) * strength
+        };
+    }
+}
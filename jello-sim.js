@@ -0,0 +1,77 @@
+/**
+ * Jello Sim - headless entry point to the jello physics
+ *
+ * The same spring modes, soft-body lattice, height-factor deformation and
+ * poke mapping the page uses, behind a small API that needs no DOM, WebGL
+ * or Three.js - for Node scripts and the test suite:
+ *
+ *   const sim = createJelloSim();
+ *   sim.poke({ x: 0.5, y: 1, z: 0 });
+ *   sim.step(1 / 60);
+ *   sim.sample(0, 1, 0);   // -> deformed { x, y, z }
+ */
+
+import { JelloWobble, pokeImpulse } from './jello-physics.js';
+
+// Without a direction, pokes push towards the middle of the jello
+function inwardDirection(point) {
+    const length = Math.hypot(point.x, point.y, point.z);
+    if (length < 1e-6) return { x: 0, y: -1, z: 0 };
+    return { x: -point.x / length, y: -point.y / length, z: -point.z / length };
+}
+
+/**
+ * params: JelloWobble config - { timestep, damping, stiffness, softBody }.
+ * softBody defaults to the page's lattice in the classic mold (softBody.mold
+ * for another, see jello-molds.js); pass false for springs only.
+ */
+export function createJelloSim(params = {}) {
+    const softBody = params.softBody === false ? null : { ...params.softBody };
+    const wobble = new JelloWobble({ ...params, softBody });
+
+    return {
+        wobble,
+
+        get time() {
+            return wobble.time;
+        },
+
+        /**
+         * Poke at a local-space point. `dir` is the push direction
+         * (unit vector, defaults to towards the centre).
+         */
+        poke(point, dir = inwardDirection(point), strength = 1) {
+            return wobble.applyImpulse(pokeImpulse(point, dir, strength));
+        },
+
+        /**
+         * Advance by dt seconds of real time, in whole fixed steps.
+         * Returns how many steps ran.
+         */
+        step(dt = wobble.timestep) {
+            return wobble.advance(dt);
+        },
+
+        /**
+         * Where the rest-space point (x, y, z) is right now
+         */
+        sample(x, y, z, out = { x: 0, y: 0, z: 0 }) {
+            return wobble.deformPoint(x, y, z, out);
+        },
+
+        /**
+         * Energy still in the jello: the spring modes' kinetic and potential
+         * energy (unit mass) plus the soft-body lattice's kinetic energy.
+         */
+        energy() {
+            let total = 0;
+            for (const name in wobble.springs) {
+                const spring = wobble.springs[name];
+                const stretch = spring.position - (spring.target || 0);
+                total += 0.5 * spring.velocity * spring.velocity + 0.5 * spring.stiffness * stretch * stretch;
+            }
+            if (wobble.softBody) total += wobble.softBody.kineticEnergy();
+            return total;
+        }
+    };
+}
@@ -0,0 +1,481 @@
+/**
+ * Jello Slice - cut a jello mesh in two along a vertical plane, or take
+ * a spoonful out of it
+ *
+ * Every triangle is clipped against the plane (Sutherland-Hodgman, one
+ * plane) and lands on the front side, the back side or both. Where a
+ * triangle crosses the plane it leaves a segment; the segments are chained
+ * into closed loops and triangulated into the cap that closes each piece.
+ *
+ * Planes are vertical: { x, z, offset } with (x, z) the unit normal, so a
+ * point is in front when x * px + z * pz >= offset.
+ *
+ * A spoonful (scoopGeometry) subdivides the surface around the bite and
+ * presses every vertex inside the bite sphere back along the spoon's
+ * direction onto the sphere, leaving a smooth concave crater.
+ *
+ * Also here: the footprint of a piece on the plate (convex hull in xz)
+ * and pushing two footprints apart (separating axis test).
+ */
+
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+const WELD_TOLERANCE = 1e-5;    // Segment ends closer than this are the same point
+const MIN_PIECE_TRIANGLES = 8;  // Less than this is a sliver, not a piece
+const BITE_DETAIL = 6;          // Crater edges end up under bite radius / this
+const MAX_BITE_SUBDIVISIONS = 4;
+
+export function planeDistance(plane, x, z) {
+    return plane.x * x + plane.z * z - plane.offset;
+}
+
+/**
+ * Signed distances of a set of xz points from the plane: { min, max }
+ */
+export function planeExtent(plane, points) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of points) {
+        const d = planeDistance(plane, point.x, point.z);
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+    }
+    return { min, max };
+}
+
+// One vertex with all its attributes, as plain arrays
+function readVertex(attributes, i) {
+    const vertex = {};
+    for (const name in attributes) {
+        const attribute = attributes[name];
+        const values = [];
+        for (let c = 0; c < attribute.itemSize; c++) {
+            values.push(attribute.array[i * attribute.itemSize + c]);
+        }
+        vertex[name] = values;
+    }
+    return vertex;
+}
+
+function lerpVertex(a, b, t) {
+    const vertex = {};
+    for (const name in a) {
+        vertex[name] = a[name].map((value, c) => value + (b[name][c] - value) * t);
+    }
+    if (vertex.normal) {
+        const [x, y, z] = vertex.normal;
+        const length = Math.hypot(x, y, z) || 1;
+        vertex.normal = [x / length, y / length, z / length];
+    }
+    return vertex;
+}
+
+/**
+ * Clip one triangle to the side of the plane given by `sign` (+1 front,
+ * -1 back). Returns the clipped polygon's vertices (0, 3 or 4).
+ */
+function clipTriangle(triangle, distances, sign) {
+    const out = [];
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        const di = distances[i] * sign;
+        const dj = distances[j] * sign;
+
+        if (di >= 0) out.push(triangle[i]);
+        if ((di > 0 && dj < 0) || (di < 0 && dj > 0)) {
+            out.push(lerpVertex(triangle[i], triangle[j], di / (di - dj)));
+        }
+    }
+    return out;
+}
+
+// Where a triangle meets the plane: its crossing points (0 or 2)
+function crossingSegment(triangle, distances) {
+    const onPlane = distances.filter(d => d === 0).length;
+
+    // Lying in the plane: the triangles around it give its edges
+    if (onPlane === 3) return null;
+
+    // An edge in the plane is shared with the triangle across it - only the
+    // one in front gives it, so it isn't chained twice
+    if (onPlane === 2) {
+        const off = distances.findIndex(d => d !== 0);
+        if (distances[off] < 0) return null;
+        const [a, b] = triangle.filter((vertex, i) => i !== off).map(vertex => vertex.position);
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) > WELD_TOLERANCE ? [a, b] : null;
+    }
+
+    const points = [];
+    for (let i = 0; i < 3; i++) {
+        const j = (i + 1) % 3;
+        const di = distances[i];
+        const dj = distances[j];
+
+        if (di === 0) points.push(triangle[i].position);
+        if ((di > 0 && dj < 0) || (di < 0 && dj > 0)) {
+            points.push(lerpVertex(triangle[i], triangle[j], di / (di - dj)).position);
+        }
+    }
+    return points.length === 2 ? points : null;
+}
+
+/**
+ * Chain loose segments into closed loops of points
+ */
+function chainSegments(segments) {
+    const key = ([x, y, z]) => [x, y, z].map(v => Math.round(v / WELD_TOLERANCE)).join(',');
+    const byPoint = new Map();
+    const used = new Uint8Array(segments.length);
+
+    segments.forEach(([a, b], index) => {
+        for (const point of [a, b]) {
+            const k = key(point);
+            if (!byPoint.has(k)) byPoint.set(k, []);
+            byPoint.get(k).push(index);
+        }
+    });
+
+    const loops = [];
+    for (let start = 0; start < segments.length; start++) {
+        if (used[start]) continue;
+        used[start] = 1;
+
+        const loop = [segments[start][0], segments[start][1]];
+        const startKey = key(loop[0]);
+
+        for (;;) {
+            const endKey = key(loop[loop.length - 1]);
+            if (endKey === startKey) break;
+
+            const next = byPoint.get(endKey).find(index => !used[index]);
+            if (next === undefined) break;  // Open chain - close it as it is
+            used[next] = 1;
+
+            const [a, b] = segments[next];
+            loop.push(key(a) === endKey ? b : a);
+        }
+
+        if (key(loop[loop.length - 1]) === startKey) loop.pop();
+        if (loop.length >= 3) loops.push(loop);
+    }
+
+    return loops;
+}
+
+/**
+ * Triangulated caps for the loops, facing along `normal` ([x, 0, z]).
+ * Returns flat vertex lists for the position, normal and uv attributes.
+ */
+function buildCaps(loops, plane, normal) {
+    // 2D coordinates on the plane: along it horizontally, and up
+    const tangent = [-plane.z, 0, plane.x];
+    const toPlane = ([x, y, z]) => new THREE.Vector2(tangent[0] * x + tangent[2] * z, y);
+
+    const vertices = [];
+    for (const loop of loops) {
+        const contour = loop.map(toPlane);
+        const triangles = THREE.ShapeUtils.triangulateShape(contour, []);
+
+        for (const [a, b, c] of triangles) {
+            const pa = loop[a], pb = loop[b], pc = loop[c];
+
+            // Wind so the face looks along the cap normal
+            const ux = pb[0] - pa[0], uy = pb[1] - pa[1], uz = pb[2] - pa[2];
+            const vx = pc[0] - pa[0], vy = pc[1] - pa[1], vz = pc[2] - pa[2];
+            const facing = (uy * vz - uz * vy) * normal[0] + (ux * vy - uy * vx) * normal[2];
+            const ordered = facing >= 0 ? [pa, pb, pc] : [pa, pc, pb];
+
+            for (const position of ordered) {
+                const flat = toPlane(position);
+                vertices.push({
+                    position,
+                    normal,
+                    uv: [0.5 + flat.x / 3, (flat.y + 1) / 2]
+                });
+            }
+        }
+    }
+    return vertices;
+}
+
+// All triangles of a geometry as vertex lists, plus the attribute names they carry
+function readTriangles(geometry) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const attributes = {};
+    for (const name of ['position', 'normal', 'uv']) {
+        if (source.attributes[name]) attributes[name] = source.attributes[name];
+    }
+
+    const triangles = [];
+    for (let i = 0; i < attributes.position.count; i += 3) {
+        triangles.push([readVertex(attributes, i), readVertex(attributes, i + 1), readVertex(attributes, i + 2)]);
+    }
+
+    if (source !== geometry) source.dispose();
+    return { triangles, names: Object.keys(attributes) };
+}
+
+// Flat vertex list back into a geometry, with shared corners shared again
+function weldGeometry(vertices, names) {
+    const raw = toGeometry(vertices, names);
+    const welded = mergeVertices(raw, WELD_TOLERANCE);
+    raw.dispose();
+    return welded;
+}
+
+function toGeometry(vertices, names) {
+    const geometry = new THREE.BufferGeometry();
+    for (const name of names) {
+        const size = vertices[0][name].length;
+        const array = new Float32Array(vertices.length * size);
+        vertices.forEach((vertex, i) => array.set(vertex[name], i * size));
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, size));
+    }
+    return geometry;
+}
+
+/**
+ * Cut a closed geometry along a vertical plane into two closed, capped
+ * geometries: { front, back }. Returns null when the plane misses it or
+ * would only shave off a sliver.
+ */
+export function splitGeometry(geometry, plane) {
+    const { triangles, names } = readTriangles(geometry);
+
+    const front = [];
+    const back = [];
+    const segments = [];
+
+    for (const triangle of triangles) {
+        // Vertices within WELD_TOLERANCE of the plane are on it, so a cut
+        // through them (e.g. down the axis) doesn't leave slivers
+        const distances = triangle.map(v => {
+            const d = planeDistance(plane, v.position[0], v.position[2]);
+            return Math.abs(d) > WELD_TOLERANCE ? d : 0;
+        });
+
+        // Triangles lying in the plane belong to neither side's outside
+        if (distances.every(d => d === 0)) continue;
+
+        for (const [side, sign] of [[front, 1], [back, -1]]) {
+            const polygon = clipTriangle(triangle, distances, sign);
+            for (let k = 1; k + 1 < polygon.length; k++) {
+                side.push(polygon[0], polygon[k], polygon[k + 1]);
+            }
+        }
+
+        const segment = crossingSegment(triangle, distances);
+        if (segment) segments.push(segment);
+    }
+
+    if (front.length / 3 < MIN_PIECE_TRIANGLES || back.length / 3 < MIN_PIECE_TRIANGLES) return null;
+
+    // Close both pieces: the front piece's cap faces back along the plane, and vice versa
+    const loops = chainSegments(segments);
+    front.push(...buildCaps(loops, plane, [-plane.x, 0, -plane.z]));
+    back.push(...buildCaps(loops, plane, [plane.x, 0, plane.z]));
+
+    // Shared corners become shared vertices again (caps keep their own normals)
+    return { front: weldGeometry(front, names), back: weldGeometry(back, names) };
+}
+
+/**
+ * Take a spoonful out of a closed geometry. bite: { centre, radius,
+ * direction } with direction the unit way the spoon goes in. Returns the
+ * geometry with a crater, or null if the bite doesn't reach the surface.
+ */
+export function scoopGeometry(geometry, bite) {
+    const { centre, radius, direction } = bite;
+    const read = readTriangles(geometry);
+    let triangles = read.triangles;
+
+    const distance = ({ position: [x, y, z] }) => Math.hypot(x - centre.x, y - centre.y, z - centre.z);
+    const length = (a, b) => Math.hypot(
+        a.position[0] - b.position[0],
+        a.position[1] - b.position[1],
+        a.position[2] - b.position[2]
+    );
+
+    // Finer triangles around the bite, so the crater is round. Edges are
+    // split on their own merits, so both triangles along an edge agree and
+    // no seams open up when the vertices move
+    const target = radius / BITE_DETAIL;
+    const splits = (a, b) => {
+        const edge = length(a, b);
+        return edge > target && Math.min(distance(a), distance(b)) < radius + edge;
+    };
+    // Same midpoint whichever way round the edge is walked
+    const midpoint = (a, b) => a.position.join() < b.position.join() ? lerpVertex(a, b, 0.5) : lerpVertex(b, a, 0.5);
+
+    for (let level = 0; level < MAX_BITE_SUBDIVISIONS; level++) {
+        const next = [];
+        let split = false;
+
+        for (const triangle of triangles) {
+            const marks = [0, 1, 2].map(i => splits(triangle[i], triangle[(i + 1) % 3]));
+            const count = marks.filter(Boolean).length;
+            if (count === 0) {
+                next.push(triangle);
+                continue;
+            }
+            split = true;
+
+            // Turn the triangle so the split edges come first: a-b, then b-c
+            let turn = 0;
+            if (count === 1) turn = marks.indexOf(true);
+            if (count === 2) turn = marks.indexOf(false) === 0 ? 1 : marks.indexOf(false) === 1 ? 2 : 0;
+            const [a, b, c] = [0, 1, 2].map(i => triangle[(i + turn) % 3]);
+
+            const ab = midpoint(a, b);
+            if (count === 1) {
+                next.push([a, ab, c], [ab, b, c]);
+                continue;
+            }
+
+            const bc = midpoint(b, c);
+            if (count === 2) {
+                next.push([a, ab, bc], [ab, b, bc], [a, bc, c]);
+                continue;
+            }
+
+            const ca = midpoint(c, a);
+            next.push([a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]);
+        }
+
+        triangles = next;
+        if (!split) break;
+    }
+
+    // Press everything inside the bite along the spoon onto the far side of the sphere
+    const pressed = new Set();
+    for (const triangle of triangles) {
+        for (const vertex of triangle) {
+            if (pressed.has(vertex)) continue;
+
+            const px = vertex.position[0] - centre.x;
+            const py = vertex.position[1] - centre.y;
+            const pz = vertex.position[2] - centre.z;
+            const inside = px * px + py * py + pz * pz - radius * radius;
+            if (inside >= 0) continue;
+
+            const along = px * direction.x + py * direction.y + pz * direction.z;
+            const t = -along + Math.sqrt(along * along - inside);
+            const x = vertex.position[0] + direction.x * t;
+            const y = vertex.position[1] + direction.y * t;
+            const z = vertex.position[2] + direction.z * t;
+
+            vertex.position = [x, y, z];
+            // The crater faces back into the bite
+            vertex.normal = [(centre.x - x) / radius, (centre.y - y) / radius, (centre.z - z) / radius];
+            pressed.add(vertex);
+        }
+    }
+
+    if (pressed.size === 0) return null;
+    return weldGeometry(triangles.flat(), read.names);
+}
+
+/**
+ * Convex hull of a geometry's vertices seen from above: [{ x, z }],
+ * counter-clockwise (monotone chain)
+ */
+export function footprint(geometry) {
+    const positions = geometry.attributes.position;
+    const points = [];
+    for (let i = 0; i < positions.count; i++) {
+        points.push({ x: positions.getX(i), z: positions.getZ(i) });
+    }
+    points.sort((a, b) => a.x - b.x || a.z - b.z);
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const half = list => {
+        const hull = [];
+        for (const point of list) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                hull.pop();
+            }
+            hull.push(point);
+        }
+        hull.pop();
+        return hull;
+    };
+
+    return [...half(points), ...half(points.slice().reverse())];
+}
+
+/**
+ * Area of a footprint polygon (counter-clockwise is positive)
+ */
+export function footprintArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+/**
+ * Area-weighted centre of a footprint polygon
+ */
+export function footprintCentre(polygon) {
+    const area = footprintArea(polygon);
+    if (Math.abs(area) < 1e-9) return { x: 0, z: 0 };
+
+    let cx = 0, cz = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const cross = a.x * b.z - b.x * a.z;
+        cx += (a.x + b.x) * cross;
+        cz += (a.z + b.z) * cross;
+    }
+    return { x: cx / (6 * area), z: cz / (6 * area) };
+}
+
+/**
+ * Smallest push that separates two convex footprints (each already
+ * offset to where it is): { x, z } to move `b` by, or null if they don't
+ * overlap.
+ */
+export function separationBetween(a, b) {
+    let best = null;
+    let bestDepth = Infinity;
+
+    for (const polygon of [a, b]) {
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const length = Math.hypot(q.x - p.x, q.z - p.z);
+            if (length < 1e-9) continue;
+
+            // Edge normal as the test axis
+            const axis = { x: (q.z - p.z) / length, z: -(q.x - p.x) / length };
+            const project = list => {
+                let min = Infinity, max = -Infinity;
+                for (const point of list) {
+                    const d = point.x * axis.x + point.z * axis.z;
+                    min = Math.min(min, d);
+                    max = Math.max(max, d);
+                }
+                return { min, max };
+            };
+
+            const pa = project(a);
+            const pb = project(b);
+            const overlap = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+            if (overlap <= 0) return null;
+
+            if (overlap < bestDepth) {
+                bestDepth = overlap;
+                // Push b away from a along the axis
+                const direction = (pb.min + pb.max) >= (pa.min + pa.max) ? 1 : -1;
+                best = { x: axis.x * overlap * direction, z: axis.z * overlap * direction };
+            }
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,494 @@
+/**
+ * Jello Soft Body - spring-mass lattice behind the jello mesh
+ *
+ * A coarse lattice of point masses (levels x rings x sectors) filling the
+ * mold (jello-molds.js) - rings run out from the axis, or from the hole in
+ * a hollow mold, to the mold's side - joined by three classes of springs:
+ *   - structural: nearest neighbours around, across and up the lattice
+ *   - shear: diagonals across each lattice face
+ *   - bend: skip-one links that resist folding
+ *
+ * The bottom level is pinned to the plate. Render vertices are bound to the
+ * lattice once and then follow the interpolated node displacement, so a poke
+ * dents and ripples locally instead of rocking the whole jello. How that
+ * displacement changes around each vertex (writeSlopes) tilts the lighting
+ * normals into the dent.
+ * At rest every displacement is zero, so the mesh keeps its modelled shape.
+ *
+ * A piece cut from the jello keeps the lattice of the whole jello, with
+ * the nodes on the far side of each cut plane left out (`clip`). Its own
+ * frame is shifted by `origin` - where the piece's centre was in the whole.
+ */
+
+import { MOLDS, DEFAULT_MOLD, MOLD_BASE_Y, isHollow, moldSpan } from './jello-molds.js';
+
+const SLOPE_STEP = 0.05;  // How far off a vertex its displacement slope is measured
+
+export const SPRING_CLASSES = ['structural', 'shear', 'bend'];
+
+export const DEFAULT_SPRINGS = {
+    structural: { stiffness: 900, damping: 6 },
+    shear: { stiffness: 500, damping: 4 },
+    bend: { stiffness: 200, damping: 2 }
+};
+
+export class JelloSoftBody {
+    constructor(config = {}) {
+        // Shape of the rest lattice - matches the jello mesh
+        this.mold = config.mold || MOLDS[DEFAULT_MOLD];
+        this.height = this.mold.height;
+        this.bottomY = MOLD_BASE_Y;
+        this.hollow = isHollow(this.mold);  // No centre node - ring 0 lines the hole
+
+        // Lattice resolution
+        this.levels = config.levels || 6;
+        this.rings = config.rings || 2;
+        this.sectors = config.sectors || 12;
+
+        // Piece frame: origin { x, z } of the piece within the whole jello, and the
+        // vertical planes { x, z, offset } it was cut by (keeps x * px + z * pz >= offset)
+        this.origin = { x: 0, z: 0, ...config.origin };
+        this.clip = config.clip || [];
+
+        this.nodeMass = config.nodeMass || 1;
+        this.drag = config.drag !== undefined ? config.drag : 2;  // Per second, on every node
+
+        // Stiffness and damping per spring class (mutable at runtime)
+        const springs = config.springs || {};
+        this.springs = {};
+        SPRING_CLASSES.forEach(name => {
+            this.springs[name] = { ...DEFAULT_SPRINGS[name], ...springs[name] };
+        });
+
+        this.nodesPerLevel = (this.hollow ? this.rings + 1 : this.rings) * this.sectors + (this.hollow ? 0 : 1);
+        this.nodeCount = this.nodesPerLevel * (this.levels + 1);
+
+        this.rest = new Float32Array(this.nodeCount * 3);
+        this.position = new Float32Array(this.nodeCount * 3);
+        this.velocity = new Float32Array(this.nodeCount * 3);
+        this.force = new Float32Array(this.nodeCount * 3);
+        this.pinned = new Uint8Array(this.nodeCount);
+        this.clipped = new Uint8Array(this.nodeCount);  // Cut away - no springs, never moves
+
+        // Pointer grab: nodes near the held point are pulled toward rest + offset
+        this.anchorStiffness = config.anchorStiffness || 400;
+        this.anchorWeights = new Float32Array(this.nodeCount);
+        this.anchorOffset = { x: 0, y: 0, z: 0 };
+        this.anchored = false;
+
+        this.buildNodes();
+        this.buildSprings();
+    }
+
+    /**
+     * Index of the node at (level, ring, sector). Ring 0 is the single
+     * centre node of each level, whatever the sector - unless the mold is
+     * hollow, when it's a ring like the others.
+     */
+    nodeIndex(level, ring, sector) {
+        const base = level * this.nodesPerLevel;
+        if (ring === 0 && !this.hollow) return base;
+
+        const s = ((sector % this.sectors) + this.sectors) % this.sectors;
+        return base + (this.hollow ? ring : ring - 1) * this.sectors + s + (this.hollow ? 0 : 1);
+    }
+
+    buildNodes() {
+        const span = {};
+
+        for (let l = 0; l <= this.levels; l++) {
+            const y = this.bottomY + (l / this.levels) * this.height;
+
+            for (let k = 0; k <= this.rings; k++) {
+                const sectorCount = k === 0 && !this.hollow ? 1 : this.sectors;
+
+                for (let s = 0; s < sectorCount; s++) {
+                    const angle = (s / this.sectors) * Math.PI * 2;
+                    moldSpan(this.mold, y, angle, span);
+                    const r = span.inner + (span.outer - span.inner) * (k / this.rings);
+                    const i = this.nodeIndex(l, k, s) * 3;
+
+                    // Same angle convention as the molds: x = sin, z = cos
+                    const x = r * Math.sin(angle);
+                    const z = r * Math.cos(angle);
+                    this.rest[i] = x - this.origin.x;
+                    this.rest[i + 1] = y;
+                    this.rest[i + 2] = z - this.origin.z;
+
+                    // Bottom level sits on the plate
+                    if (l === 0) this.pinned[i / 3] = 1;
+
+                    if (this.clip.some(plane => plane.x * x + plane.z * z < plane.offset - 1e-6)) {
+                        this.clipped[i / 3] = 1;
+                        this.pinned[i / 3] = 1;
+                    }
+                }
+            }
+        }
+
+        this.position.set(this.rest);
+    }
+
+    buildSprings() {
+        const a = [];
+        const b = [];
+        const cls = [];
+
+        const add = (i, j, name) => {
+            if (this.clipped[i] || this.clipped[j]) return;
+            a.push(i);
+            b.push(j);
+            cls.push(SPRING_CLASSES.indexOf(name));
+        };
+
+        for (let l = 0; l <= this.levels; l++) {
+            // Ring 0 is only a ring (rather than the centre) in a hollow mold
+            for (let k = this.hollow ? 0 : 1; k <= this.rings; k++) {
+                for (let s = 0; s < this.sectors; s++) {
+                    // Around the ring and out from the centre
+                    add(this.nodeIndex(l, k, s), this.nodeIndex(l, k, s + 1), 'structural');
+                    add(this.nodeIndex(l, k, s), this.nodeIndex(l, k, s + 2), 'bend');
+                    if (l < this.levels) {
+                        // Diagonals across the outward-facing faces
+                        add(this.nodeIndex(l, k, s), this.nodeIndex(l + 1, k, s + 1), 'shear');
+                        add(this.nodeIndex(l, k, s + 1), this.nodeIndex(l + 1, k, s), 'shear');
+                    }
+                    if (k === 0) continue;
+
+                    add(this.nodeIndex(l, k - 1, s), this.nodeIndex(l, k, s), 'structural');
+                    if (k >= 2) {
+                        add(this.nodeIndex(l, k - 2, s), this.nodeIndex(l, k, s), 'bend');
+                    }
+
+                    if (l < this.levels) {
+                        // Diagonals across the radial faces
+                        add(this.nodeIndex(l, k - 1, s), this.nodeIndex(l + 1, k, s), 'shear');
+                        add(this.nodeIndex(l, k, s), this.nodeIndex(l + 1, k - 1, s), 'shear');
+                    }
+                }
+            }
+
+            // Straight up to the next level, and skipping one
+            for (let n = 0; n < this.nodesPerLevel; n++) {
+                const i = l * this.nodesPerLevel + n;
+                if (l < this.levels) add(i, i + this.nodesPerLevel, 'structural');
+                if (l < this.levels - 1) add(i, i + this.nodesPerLevel * 2, 'bend');
+            }
+        }
+
+        this.springCount = a.length;
+        this.springA = Uint16Array.from(a);
+        this.springB = Uint16Array.from(b);
+        this.springClass = Uint8Array.from(cls);
+        this.springRest = new Float32Array(this.springCount);
+
+        for (let n = 0; n < this.springCount; n++) {
+            const i = this.springA[n] * 3;
+            const j = this.springB[n] * 3;
+            this.springRest[n] = Math.hypot(
+                this.rest[j] - this.rest[i],
+                this.rest[j + 1] - this.rest[i + 1],
+                this.rest[j + 2] - this.rest[i + 2]
+            );
+        }
+    }
+
+    /**
+     * Change stiffness and/or damping for one spring class
+     */
+    setSpringClass(name, values) {
+        if (!this.springs[name]) {
+            throw new Error(`Unknown spring class: ${name}`);
+        }
+        Object.assign(this.springs[name], values);
+    }
+
+    /**
+     * Advance the lattice by dt seconds (semi-implicit Euler)
+     */
+    step(dt) {
+        const { position: p, velocity: v, force: f } = this;
+        const stiffness = SPRING_CLASSES.map(name => this.springs[name].stiffness);
+        const damping = SPRING_CLASSES.map(name => this.springs[name].damping);
+
+        f.fill(0);
+
+        for (let n = 0; n < this.springCount; n++) {
+            const i = this.springA[n] * 3;
+            const j = this.springB[n] * 3;
+
+            const dx = p[j] - p[i];
+            const dy = p[j + 1] - p[i + 1];
+            const dz = p[j + 2] - p[i + 2];
+            const length = Math.hypot(dx, dy, dz);
+            if (length < 1e-6) continue;
+
+            const nx = dx / length;
+            const ny = dy / length;
+            const nz = dz / length;
+
+            // Hooke's law plus damping of the closing speed along the spring
+            const closing = (v[j] - v[i]) * nx + (v[j + 1] - v[i + 1]) * ny + (v[j + 2] - v[i + 2]) * nz;
+            const c = this.springClass[n];
+            const magnitude = stiffness[c] * (length - this.springRest[n]) + damping[c] * closing;
+
+            f[i] += nx * magnitude;
+            f[i + 1] += ny * magnitude;
+            f[i + 2] += nz * magnitude;
+            f[j] -= nx * magnitude;
+            f[j + 1] -= ny * magnitude;
+            f[j + 2] -= nz * magnitude;
+        }
+
+        if (this.anchored) {
+            const { x: ox, y: oy, z: oz } = this.anchorOffset;
+            const k = this.anchorStiffness;
+
+            for (let node = 0; node < this.nodeCount; node++) {
+                const w = this.anchorWeights[node];
+                if (w === 0) continue;
+
+                const i = node * 3;
+                f[i] += k * w * (this.rest[i] + ox - p[i]);
+                f[i + 1] += k * w * (this.rest[i + 1] + oy - p[i + 1]);
+                f[i + 2] += k * w * (this.rest[i + 2] + oz - p[i + 2]);
+            }
+        }
+
+        const invMass = 1 / this.nodeMass;
+
+        for (let node = 0; node < this.nodeCount; node++) {
+            if (this.pinned[node]) continue;
+
+            for (let axis = 0; axis < 3; axis++) {
+                const i = node * 3 + axis;
+                v[i] += (f[i] * invMass - v[i] * this.drag) * dt;
+                p[i] += v[i] * dt;
+            }
+        }
+    }
+
+    /**
+     * Add a velocity impulse to the nodes around a local-space point.
+     * Falloff is gaussian, so only the near side of the jello dents.
+     */
+    poke(point, impulse, radius = 0.5) {
+        const invRadiusSq = 1 / (radius * radius);
+
+        for (let node = 0; node < this.nodeCount; node++) {
+            if (this.pinned[node]) continue;
+
+            const i = node * 3;
+            const distSq =
+                (this.position[i] - point.x) ** 2 +
+                (this.position[i + 1] - point.y) ** 2 +
+                (this.position[i + 2] - point.z) ** 2;
+            const weight = Math.exp(-distSq * invRadiusSq);
+            if (weight < 1e-3) continue;
+
+            this.velocity[i] += impulse.x * weight;
+            this.velocity[i + 1] += impulse.y * weight;
+            this.velocity[i + 2] += impulse.z * weight;
+        }
+    }
+
+    /**
+     * Add the same velocity to every free node (the pinned base stays put)
+     */
+    nudge(impulse) {
+        for (let node = 0; node < this.nodeCount; node++) {
+            if (this.pinned[node]) continue;
+
+            const i = node * 3;
+            this.velocity[i] += impulse.x;
+            this.velocity[i + 1] += impulse.y;
+            this.velocity[i + 2] += impulse.z;
+        }
+    }
+
+    /**
+     * Start holding the lattice at a local-space point (pointer grab)
+     */
+    setAnchor(point, radius = 0.45) {
+        const invRadiusSq = 1 / (radius * radius);
+
+        for (let node = 0; node < this.nodeCount; node++) {
+            const i = node * 3;
+            const distSq =
+                (this.rest[i] - point.x) ** 2 +
+                (this.rest[i + 1] - point.y) ** 2 +
+                (this.rest[i + 2] - point.z) ** 2;
+            const weight = Math.exp(-distSq * invRadiusSq);
+            this.anchorWeights[node] = this.pinned[node] || weight < 1e-3 ? 0 : weight;
+        }
+
+        this.anchorOffset = { x: 0, y: 0, z: 0 };
+        this.anchored = true;
+    }
+
+    setAnchorOffset(offset) {
+        this.anchorOffset = { x: offset.x, y: offset.y, z: offset.z };
+    }
+
+    clearAnchor() {
+        this.anchored = false;
+        this.anchorWeights.fill(0);
+    }
+
+    /**
+     * Total kinetic energy of the lattice - handy for "is it still wobbling?"
+     */
+    kineticEnergy() {
+        let sum = 0;
+        for (let i = 0; i < this.velocity.length; i++) {
+            sum += this.velocity[i] * this.velocity[i];
+        }
+        return 0.5 * this.nodeMass * sum;
+    }
+
+    /**
+     * Write the 8 surrounding nodes and their trilinear weights for a
+     * rest-space point into indices/weights starting at offset.
+     */
+    cornersFor(x, y, z, indices, weights, offset) {
+        // Back into the whole jello's frame
+        x += this.origin.x;
+        z += this.origin.z;
+
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max - 1e-6);
+
+        let angle = Math.atan2(x, z);
+        if (angle < 0) angle += Math.PI * 2;
+
+        // Levels are even steps up; rings even steps out from the hole (or axis) to the side
+        const span = moldSpan(this.mold, y, angle, this._span || (this._span = {}));
+        const width = span.outer - span.inner;
+        const lv = clamp(((y - this.bottomY) / this.height) * this.levels, this.levels);
+        const rv = clamp(width > 1e-6 ? ((Math.hypot(x, z) - span.inner) / width) * this.rings : 0, this.rings);
+        const sv = (angle / (Math.PI * 2)) * this.sectors;
+
+        const l0 = Math.floor(lv);
+        const k0 = Math.floor(rv);
+        const s0 = Math.floor(sv) % this.sectors;
+        const fl = lv - l0;
+        const fk = rv - k0;
+        const fs = sv - Math.floor(sv);
+
+        let c = offset;
+        for (let dl = 0; dl <= 1; dl++) {
+            for (let dk = 0; dk <= 1; dk++) {
+                for (let ds = 0; ds <= 1; ds++) {
+                    indices[c] = this.nodeIndex(l0 + dl, k0 + dk, s0 + ds);
+                    weights[c] =
+                        (dl ? fl : 1 - fl) *
+                        (dk ? fk : 1 - fk) *
+                        (ds ? fs : 1 - fs);
+                    c++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Bind render vertices (flat xyz array in jello local space) to the lattice.
+     * Each vertex also gets a point SLOPE_STEP off it along x, y and z -
+     * towards the middle, so it stays inside the jello - for writeSlopes().
+     */
+    bindVertices(positions) {
+        const count = positions.length / 3;
+        const indices = new Uint16Array(count * 8);
+        const weights = new Float32Array(count * 8);
+        const slopeIndices = new Uint16Array(count * 24);
+        const slopeWeights = new Float32Array(count * 24);
+        const steps = new Float32Array(count * 3);
+
+        for (let v = 0; v < count; v++) {
+            const point = [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+            this.cornersFor(point[0], point[1], point[2], indices, weights, v * 8);
+
+            for (let axis = 0; axis < 3; axis++) {
+                const middle = axis === 1 ? this.bottomY + this.height / 2 : 0;
+                const step = point[axis] > middle ? -SLOPE_STEP : SLOPE_STEP;
+                const nudged = point.slice();
+                nudged[axis] += step;
+                this.cornersFor(nudged[0], nudged[1], nudged[2], slopeIndices, slopeWeights, (v * 3 + axis) * 8);
+                steps[v * 3 + axis] = step;
+            }
+        }
+
+        return { count, indices, weights, slopeIndices, slopeWeights, steps };
+    }
+
+    /**
+     * Write per-vertex displacement (position - rest) for a binding into out
+     */
+    writeOffsets(binding, out) {
+        const { indices, weights } = binding;
+
+        for (let v = 0; v < binding.count; v++) {
+            let x = 0, y = 0, z = 0;
+
+            for (let c = v * 8; c < v * 8 + 8; c++) {
+                const i = indices[c] * 3;
+                const w = weights[c];
+                x += (this.position[i] - this.rest[i]) * w;
+                y += (this.position[i + 1] - this.rest[i + 1]) * w;
+                z += (this.position[i + 2] - this.rest[i + 2]) * w;
+            }
+
+            out[v * 3] = x;
+            out[v * 3 + 1] = y;
+            out[v * 3 + 2] = z;
+        }
+    }
+
+    /**
+     * Write how each vertex's displacement changes along x, y and z (9 floats
+     * per vertex, a column per axis) into out. `offsets` is what
+     * writeOffsets() just wrote for the same binding.
+     */
+    writeSlopes(binding, offsets, out) {
+        const { slopeIndices, slopeWeights, steps } = binding;
+
+        for (let v = 0; v < binding.count; v++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const start = (v * 3 + axis) * 8;
+                let x = 0, y = 0, z = 0;
+
+                for (let c = start; c < start + 8; c++) {
+                    const i = slopeIndices[c] * 3;
+                    const w = slopeWeights[c];
+                    x += (this.position[i] - this.rest[i]) * w;
+                    y += (this.position[i + 1] - this.rest[i + 1]) * w;
+                    z += (this.position[i + 2] - this.rest[i + 2]) * w;
+                }
+
+                const step = steps[v * 3 + axis];
+                const o = v * 9 + axis * 3;
+                out[o] = (x - offsets[v * 3]) / step;
+                out[o + 1] = (y - offsets[v * 3 + 1]) / step;
+                out[o + 2] = (z - offsets[v * 3 + 2]) / step;
+            }
+        }
+    }
+
+    /**
+     * Displacement at a single rest-space point (bubbles, embedded objects)
+     */
+    sampleDisplacement(x, y, z, out = { x: 0, y: 0, z: 0 }) {
+        const indices = this._sampleIndices || (this._sampleIndices = new Uint16Array(8));
+        const weights = this._sampleWeights || (this._sampleWeights = new Float32Array(8));
+        this.cornersFor(x, y, z, indices, weights, 0);
+
+        out.x = 0;
+        out.y = 0;
+        out.z = 0;
+        for (let c = 0; c < 8; c++) {
+            const i = indices[c] * 3;
+            out.x += (this.position[i] - this.rest[i]) * weights[c];
+            out.y += (this.position[i + 1] - this.rest[i + 1]) * weights[c];
+            out.z += (this.position[i + 2] - this.rest[i + 2]) * weights[c];
+        }
+        return out;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Jello Transmission - light coming through the gel, bent on the way
+ *
+ * Each frame the scene is first rendered without the jello into a
+ * (smaller) render target: the plate, the objects inside and anything
+ * else behind the gel. The jello shader then samples that picture at its
+ * own pixel, pushed sideways by the refraction of its surface normal, so
+ * whatever is inside bends and shimmers as the jello moves.
+ *
+ * The pass is rendered with a transparent clear instead of the scene
+ * background, and the shader fills the background back in itself - the
+ * renderer doesn't tone map a clear colour, so it would otherwise come
+ * out a different shade through the jello than around it.
+ *
+ * Only one layer of gel is seen through: a piece behind another piece
+ * isn't in the picture the front one refracts.
+ */
+
+import * as THREE from 'three';
+
+const TRANSMISSION_SCALE = 0.5;   // Render target size relative to the screen
+export const GEL_IOR = 1.34;      // Mostly water
+const REFRACTION_STRENGTH = 0.12; // Screen share of the sideways shift per unit of bend
+
+export class JelloTransmission {
+    constructor(renderer, config = {}) {
+        this.renderer = renderer;
+        this.scale = config.scale || TRANSMISSION_SCALE;
+
+        this.target = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+
+        // Shared by every jello material - add them to each one's uniforms
+        this.uniforms = {
+            refractionMap: { value: this.target.texture },
+            refractionSize: { value: new THREE.Vector2(1, 1) },  // Drawing buffer, in pixels
+            refractionBackground: { value: new THREE.Color() },
+            gelIor: { value: config.ior || GEL_IOR }
+        };
+
+        this.setSize();
+    }
+
+    // Call whenever the renderer's size or pixel ratio changes
+    setSize() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.uniforms.refractionSize.value.copy(size);
+        this.target.setSize(
+            Math.max(Math.round(size.x * this.scale), 1),
+            Math.max(Math.round(size.y * this.scale), 1)
+        );
+    }
+
+    /**
+     * Render what's behind the jello. materials: every jello material,
+     * hidden for the pass (their children - objects, bubbles - still draw)
+     */
+    render(scene, camera, materials) {
+        const { renderer } = this;
+        const background = scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+        const previousTarget = renderer.getRenderTarget();
+        const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+
+        if (background && background.isColor) this.uniforms.refractionBackground.value.copy(background);
+        materials.forEach(material => { material.visible = false; });
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+
+        // The main pass updates the shadow maps - here they'd be redrawn for
+        // nothing, and without the hidden jello
+        renderer.shadowMap.autoUpdate = false;
+        renderer.setRenderTarget(this.target);
+        renderer.render(scene, camera);
+
+        renderer.setRenderTarget(previousTarget);
+        renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+        renderer.setClearColor(clearColor, clearAlpha);
+        scene.background = background;
+        materials.forEach(material => { material.visible = true; });
+    }
+
+    dispose() {
+        this.target.dispose();
+    }
+}
+
+// Uniforms and function for the jello fragment shader. Tone mapping and
+// colour space match what the renderer does on screen.
+export const TRANSMISSION_GLSL = `
+    uniform sampler2D refractionMap;
+    uniform vec2 refractionSize;
+    uniform vec3 refractionBackground;
+    uniform float gelIor;
+
+    // normal and viewDir (towards the camera) in view space
+    vec3 transmittedLight(vec3 normal, vec3 viewDir) {
+        normal = faceforward(normal, -viewDir, normal);  // Back faces too
+        vec3 bent = refract(-viewDir, normal, 1.0 / gelIor);
+        vec2 uv = gl_FragCoord.xy / refractionSize + (bent.xy + viewDir.xy) * ${REFRACTION_STRENGTH.toFixed(4)};
+
+        vec4 behind = texture2D(refractionMap, clamp(uv, 0.0, 1.0));
+        vec3 seen = behind.rgb;
+        #ifdef TONE_MAPPING
+            seen = toneMapping(seen);
+        #endif
+        seen = linearToOutputTexel(vec4(seen, 1.0)).rgb;
+
+        // The pass was cleared to nothing - the background goes where nothing was drawn
+        vec3 background = linearToOutputTexel(vec4(refractionBackground, 1.0)).rgb;
+        return seen + background * (1.0 - behind.a);
+    }
+`;
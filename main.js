@@ -1,15 +1,165 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { TILT_REACH, SQUASH_REACH, TWIST_STRENGTH, pokeImpulse, pokeStrength, JelloWobble } from './jello-physics.js';
+import { createPhysicsHost } from './jello-physics-host.js';
+import { FIRMNESS_PRESETS, DEFAULT_FIRMNESS } from './jello-firmness.js';
+import { JelloSetting, SAG_DROP, SAG_SPREAD, gelFirmness } from './jello-setting.js';
+import { JelloAudio } from './jello-audio.js';
+import { JelloRipples } from './jello-ripples.js';
+import { JelloTransmission } from './jello-transmission.js';
+import { createJelloMaterial, jelloDepthMaterial, createLayerUniforms, setLayerUniforms } from './jello-material.js';
+import { MAX_LAYERS, sanitizeLayers, layerAt } from './jello-layers.js';
+import { FLAVOURS, flavourTint, tintScale, flavourOf, stackColor } from './jello-flavours.js';
+import { separateObjects, findFreeSpot } from './jello-objects.js';
+import { MOLDS, DEFAULT_MOLD, MOLD_BASE_Y, insideMold, moldSpan } from './jello-molds.js';
+import { createMoldGeometry } from './jello-mold-geometry.js';
+import { moldFromSvg } from './jello-custom-mold.js';
+import { splitGeometry, scoopGeometry, planeDistance, planeExtent, footprint, footprintArea, footprintCentre, separationBetween } from './jello-slice.js';
+import { createExtrudedObjectGeometry, createReliefObjectGeometry } from './jello-object-mesh.js';
 
 // Remove.bg API key - RECOMMENDED for complex backgrounds (puppies, outdoor scenes, etc.)
 // Get free key: https://www.remove.bg/api (50 images/month free)
 // Or leave null to use aggressive client-side removal
 const REMOVE_BG_API_KEY = null;  // Set to 'your-api-key' or keep null
 
-// Global variables for object in jello
-let jellyObject = null;
-let objectOriginalPos = { x: 0, y: 0.5, z: 0.15 };  // Higher and more forward for visibility
+// Objects embedded in the jello - see addEmbeddedObject()
+const MAX_EMBEDDED_OBJECTS = 6;
+const DEFAULT_OBJECT_SIZE = 0.75;  // Scale of a new object, adjustable per object
+const embeddedObjects = [];
+let nextObjectId = 1;
+const OUTLINE_SCALE = 1.06;  // Glow shell around each object
+
+// Preferred spots for new objects (jello local space, for the classic cup -
+// scaled to the mold's height), best first
+const OBJECT_SPOTS = [
+    { x: 0, y: 0.5, z: 0.15 },  // Higher and more forward for visibility
+    { x: -0.55, y: 0.1, z: 0.3 },
+    { x: 0.55, y: 0.1, z: 0.3 },
+    { x: 0, y: -0.35, z: 0.45 },
+    { x: -0.45, y: -0.4, z: -0.35 },
+    { x: 0.45, y: -0.4, z: -0.35 },
+    { x: 0, y: 0.2, z: -0.5 }
+];
+
+const JELLO_Y = 1.15;  // Height of the jello's frame - its base (y = -1) sits on the plate
+
+// Firmness profile - remembered between visits
+const FIRMNESS_STORAGE_KEY = 'will-it-jello.firmness';
+
+function loadFirmness() {
+    try {
+        const saved = localStorage.getItem(FIRMNESS_STORAGE_KEY);
+        if (saved && FIRMNESS_PRESETS[saved]) return saved;
+    } catch (error) {
+        // Storage blocked (private mode etc.) - just use the default
+    }
+    return DEFAULT_FIRMNESS;
+}
+
+function saveFirmness(name) {
+    try {
+        localStorage.setItem(FIRMNESS_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('⚠️ Could not save firmness:', error.message);
+    }
+}
+
+let firmnessName = loadFirmness();
+
+// Mold the jello is set in (jello-molds.js) - shared by the mesh, physics
+// and object placement, and remembered between visits like the firmness.
+// 'custom' is the last one made from an uploaded SVG (jello-custom-mold.js)
+const MOLD_STORAGE_KEY = 'will-it-jello.mold';
+const CUSTOM_MOLD_STORAGE_KEY = 'will-it-jello.custom-mold';
+const CUSTOM_MOLD = 'custom';
+
+function loadCustomMold() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_MOLD_STORAGE_KEY));
+        if (saved && saved.height > 0 && Array.isArray(saved.profile)) return saved;
+    } catch (error) {
+        // Storage blocked or mangled - no custom mold then
+    }
+    return null;
+}
+
+function saveCustomMold(mold) {
+    try {
+        localStorage.setItem(CUSTOM_MOLD_STORAGE_KEY, JSON.stringify(mold));
+    } catch (error) {
+        console.warn('⚠️ Could not save custom mold:', error.message);
+    }
+}
+
+let customMold = loadCustomMold();
+
+function loadMold() {
+    try {
+        const saved = localStorage.getItem(MOLD_STORAGE_KEY);
+        if (saved && (MOLDS[saved] || (saved === CUSTOM_MOLD && customMold))) return saved;
+    } catch (error) {
+        // Storage blocked (private mode etc.) - just use the default
+    }
+    return DEFAULT_MOLD;
+}
+
+function saveMold(name) {
+    try {
+        localStorage.setItem(MOLD_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('⚠️ Could not save mold:', error.message);
+    }
+}
+
+let moldName = loadMold();
+
+function currentMold() {
+    return moldName === CUSTOM_MOLD ? customMold : MOLDS[moldName];
+}
+
+// Layer stack (jello-layers.js), from the plate up - saved with the scene
+const LAYERS_STORAGE_KEY = 'will-it-jello.layers';
+
+function loadLayers() {
+    try {
+        const saved = localStorage.getItem(LAYERS_STORAGE_KEY);
+        if (saved) return sanitizeLayers(JSON.parse(saved));
+    } catch (error) {
+        // Storage blocked or mangled - just use the default
+    }
+    return sanitizeLayers(null);
+}
+
+function saveLayers(layers) {
+    try {
+        localStorage.setItem(LAYERS_STORAGE_KEY, JSON.stringify(layers));
+    } catch (error) {
+        console.warn('⚠️ Could not save layers:', error.message);
+    }
+}
+
+let jelloLayers = loadLayers();
+
+// Which way the jello's colour leans (jello-flavours.js) - the inner light
+// and embedded objects follow it. See tintChanged()
+let jelloTint = flavourTint(stackColor(jelloLayers));
+const INNER_LIGHT_TINT = 0.28;  // Share of the jello's colour in the inner light - 0xffdddd for cherry
+const OBJECT_TINT = 0.07;       // Colour shift of embedded objects towards the tint - photos aren't tinted in their pixels
+const OBJECT_GLOW = 0.0056;     // Their glow in the tint - 0x110000 for cherry
+
+function innerLightColor(out = new THREE.Color()) {
+    return out.setRGB(1, 1, 1).lerp(new THREE.Color(stackColor(jelloLayers)), INNER_LIGHT_TINT);
+}
+
+function tintObjectMaterial(material) {
+    const [r, g, b] = tintScale(jelloTint, OBJECT_TINT);
+    material.color.setRGB(r, g, b);
+    material.emissive.setRGB(jelloTint[0], jelloTint[1], jelloTint[2]).multiplyScalar(OBJECT_GLOW);
+}
+
+// Gel state last sent to the physics (see updateSetting) - new pieces start from it
+let sentGel = null;
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -37,6 +187,12 @@ renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.0;
 renderer.sortObjects = true;  // Proper transparency sorting
 
+// What's behind the jello, for the refraction in its shader
+const transmission = new JelloTransmission(renderer);
+
+// Every piece shows the same layers - one set of uniforms for them all
+const layerUniforms = createLayerUniforms(jelloLayers);
+
 document.getElementById('canvas-container').appendChild(renderer.domElement);
 
 // Orbit controls
@@ -76,7 +232,7 @@ backLight.position.set(0, 0.5, -1.5);  // Behind jello
 scene.add(backLight);
 
 // Add a light INSIDE the jello position to show translucency
-const innerLight = new THREE.PointLight(0xffdddd, 0.5);  // Reduced from 0.8
+const innerLight = new THREE.PointLight(innerLightColor(), 0.5);  // Reduced from 0.8
 innerLight.position.set(0, 0.8, 0);  // Inside jello
 scene.add(innerLight);
 
@@ -154,174 +310,1017 @@ rim.position.set(0, 0.15, 0);  // Top of plate
 rim.receiveShadow = true;
 scene.add(rim);
 
-// Simple cylinder jello cup geometry
-const jelloGeometry = new THREE.CylinderGeometry(
-    1.1,   // top radius (narrower at top)
-    1.5,   // bottom radius (wider at bottom)
-    2,     // height
-    64,    // radial segments
-    32,    // height segments
-    false  // not open ended
-);
+// Jello geometry - the current mold's shape (jello-mold-geometry.js)
+function createJelloGeometry() {
+    return createMoldGeometry(currentMold());
+}
+
+// Tiny bubbles for extra realism - original positions inside the mold,
+// flat [x, y, z, scale] so the physics can move them with the gel
+const BUBBLE_COUNT = 20;
+const BUBBLE_MARGIN = 0.1;  // Clear of the sides
+
+function createBubblePositions() {
+    const mold = currentMold();
+    const reach = Math.max(...mold.profile.map(([s]) => s)) *
+                  (mold.outline ? Math.max(...mold.outline.map(([x, z]) => Math.hypot(x, z))) : 1);
+    const positions = new Float32Array(BUBBLE_COUNT * 4);
+
+    for (let i = 0; i < BUBBLE_COUNT; i++) {
+        // Anywhere in the mold above its bottom quarter - try until one lands inside
+        let x, y, z;
+        let inside = false;
+        for (let attempt = 0; attempt < 50 && !inside; attempt++) {
+            x = (Math.random() * 2 - 1) * reach;
+            y = MOLD_BASE_Y + mold.height * (0.25 + Math.random() * 0.75);
+            z = (Math.random() * 2 - 1) * reach;
+            inside = insideMold(mold, x, y, z, BUBBLE_MARGIN);
+        }
+
+        // Thin molds can miss every time - then halfway across the gel in the last direction
+        if (!inside) {
+            const angle = Math.atan2(x, z);
+            const { inner, outer } = moldSpan(mold, y, angle);
+            const distance = (inner + outer) / 2;
+            x = Math.sin(angle) * distance;
+            z = Math.cos(angle) * distance;
+        }
+        positions[i * 4] = x;
+        positions[i * 4 + 1] = y;
+        positions[i * 4 + 2] = z;
+        positions[i * 4 + 3] = 0.5 + Math.random() * 0.5;
+    }
+    return positions;
+}
+
+// Wobble physics - global spring modes plus a soft-body lattice behind the
+// mesh for local dents, all stepped at a fixed rate (see jello-physics.js).
+// Runs in a worker when the page is cross-origin isolated (jello-physics-host.js).
+// Every piece of jello has its own, set up from here
+function physicsConfig(origin, clip) {
+    return {
+        // Stiffness, damping, impulse strength and deformation limit (jello-firmness.js)
+        firmness: FIRMNESS_PRESETS[firmnessName],
+
+        // Liquid, setting or melting - whatever the timeline last said
+        gel: sentGel ? { strength: sentGel.strength, sag: sentGel.sag } : undefined,
+
+        // Stiffness/damping per spring class: structural, shear, bend
+        softBody: {
+            mold: currentMold(),
+            springs: {
+                structural: { stiffness: 900, damping: 6 },
+                shear: { stiffness: 500, damping: 4 },
+                bend: { stiffness: 200, damping: 2 }
+            },
+            origin,
+            clip
+        }
+    };
+}
+
+// Bubbles - moved with the gel by the physics (see createBubblePositions)
+const bubbleGeometry = new THREE.SphereGeometry(0.02, 8, 8);
+const bubbleMaterial = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.3
+});
+
+/**
+ * The jello on the plate - one whole piece until the knife comes out.
+ * Each piece has its own geometry (centred on its footprint), physics,
+ * wobble, bubbles and objects, and slides around the plate on its own.
+ *
+ *   origin  where the piece's frame sits in the whole jello's frame
+ *   clip    cut planes { x, z, offset } in the whole jello's frame (soft-body lattice)
+ *   shape   the mold, with its axis and the cut faces in the piece's
+ *           frame (keeps objects inside, see jello-objects.js)
+ */
+const pieces = [];
+let nextPieceId = 1;
+
+function createJelloPiece({ geometry, origin = { x: 0, z: 0 }, clip = [], position, bubbles }) {
+    const physics = createPhysicsHost({
+        config: physicsConfig(origin, clip),
+        jelloVertices: geometry.attributes.position.array,
+        bubbles
+    });
+
+    const softOffset = new THREE.BufferAttribute(new Float32Array(physics.softOffsets.length), 3);
+    softOffset.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('softOffset', softOffset);
+    const softSlope = new THREE.BufferAttribute(new Float32Array(physics.softSlopes.length), 9);  // mat3
+    softSlope.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('softSlope', softSlope);
+
+    const material = createJelloMaterial({ ...transmission.uniforms, ...layerUniforms });
+    const ripples = new JelloRipples();
+    material.uniforms.rippleImpacts.value = ripples.impacts;
+    material.uniforms.rippleTimes.value = ripples.times;
+    material.uniforms.moldHeight.value = currentMold().height;
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.copy(position);
+    mesh.customDepthMaterial = jelloDepthMaterial(material);  // The shadow wobbles too
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+
+    let bubbleMesh = null;
+    if (bubbles.length > 0) {
+        bubbleMesh = new THREE.InstancedMesh(bubbleGeometry, bubbleMaterial, bubbles.length / 4);
+        bubbleMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.add(bubbleMesh);
+    }
+
+    const piece = {
+        id: nextPieceId++,
+        geometry,
+        material,
+        mesh,
+        softOffset,
+        softSlope,
+        physics,
+        ripples,
+        bubbles,
+        bubbleMesh,
+        origin,
+        clip,
+        shape: {
+            mold: currentMold(),
+            center: { x: -origin.x, z: -origin.z },
+            planes: clip.map(plane => ({
+                x: plane.x,
+                z: plane.z,
+                offset: plane.offset - (plane.x * origin.x + plane.z * origin.z)
+            }))
+        },
+        footprint: footprint(geometry),
+        velocity: { x: 0, z: 0 }  // Sliding on the plate
+    };
+
+    // Furthest the footprint reaches from the piece's centre - cheap overlap test
+    piece.reach = Math.max(...piece.footprint.map(point => Math.hypot(point.x, point.z)));
+
+    mesh.userData.piece = piece;
+    pieces.push(piece);
+    return piece;
+}
+
+// Objects must be moved to another piece first
+function removeJelloPiece(piece) {
+    const index = pieces.indexOf(piece);
+    if (index === -1) return;
+
+    pieces.splice(index, 1);
+    scene.remove(piece.mesh);
+    piece.physics.dispose();
+    piece.geometry.dispose();
+    piece.material.dispose();
+    piece.mesh.customDepthMaterial.dispose();
+    if (piece.bubbleMesh) piece.bubbleMesh.dispose();
+}
+
+createJelloPiece({
+    geometry: createJelloGeometry(),
+    position: new THREE.Vector3(0, JELLO_Y, 0),
+    bubbles: createBubblePositions()
+});
+
+// Pointer handling: tap to poke, press and drag to grab and pull the jello
+// Pointer events cover mouse, touch and pen the same way
+const raycaster = new THREE.Raycaster();
+const mouse = new THREE.Vector2();
+
+const DRAG_THRESHOLD_PX = 6;    // Less movement than this is a tap, not a drag
+const RELEASE_WINDOW_MS = 80;   // Pointer history used to measure release speed
+
+let activeGrab = null;  // Set while a pointer is holding the jello
 
-jelloGeometry.computeVertexNormals();
+// Poke strength: hold the press longer, or come in faster, for a harder poke
+const POKE_CHARGE_TIME = 1.2;     // Seconds of holding for a full-strength poke
+const POKE_FULL_SPEED = 2500;     // Pointer speed (pixels/s) for a full-strength poke
+const hoverSamples = [];          // Recent pointer positions before the press
+const pokeChargeRing = document.getElementById('poke-charge');
 
-// Custom shader material with height-based wobble
-const jelloMaterial = new THREE.ShaderMaterial({
-    uniforms: {
-        color: { value: new THREE.Color(0xff1a1a) },  // Brighter, more vibrant red
-        wobbleTilt: { value: new THREE.Vector2(0, 0) },
-        wobbleSquash: { value: 0.0 }
-    },
-    vertexShader: `
-        uniform vec2 wobbleTilt;
-        uniform float wobbleSquash;
+// Cut pieces are loose on the plate: pokes and flings slide them too
+const PUSH_SPEED = 1.2;         // Plate speed from a poke, along its direction
+const FLING_SHARE = 0.3;        // Share of a release fling that slides the piece
+const PIECE_FRICTION = 3;       // Per second - a pushed piece soon stops
+const PLATE_EDGE = 2.4;         // Pieces stay inside the plate's rim
 
-        varying vec3 vNormal;
-        varying vec3 vPosition;
+function setRayFromPointer(event) {
+    // Convert pointer position to normalized device coordinates
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
-        void main() {
-            vec3 pos = position;
+    raycaster.setFromCamera(mouse, camera);
+}
 
-            // Calculate height factor for cylinder
-            // Cylinder with height=2: y ranges from -1 to 1
-            float heightFactor = (pos.y + 1.0) / 2.0;  // 0 at bottom, 1 at top
-            heightFactor = heightFactor * heightFactor;  // Quadratic
+// Piece or blob a raycast hit belongs to (the hit may be one of its bubbles or objects)
+function ownerOfHit(hit, key) {
+    for (let object = hit.object; object; object = object.parent) {
+        if (object.userData[key]) return object.userData[key];
+    }
+    return null;
+}
 
-            // Apply wobble deformations
-            pos.x += wobbleTilt.x * heightFactor * 0.5;
-            pos.z += wobbleTilt.y * heightFactor * 0.5;
+function pushPiece(piece, velocity, share) {
+    if (pieces.length < 2) return;  // The whole jello stays put in its spot
+    piece.velocity.x += velocity.x * share;
+    piece.velocity.z += velocity.z * share;
+}
 
-            float squashScale = 1.0 + wobbleSquash * heightFactor * 0.15;
-            pos.x *= squashScale;
-            pos.z *= squashScale;
+function pokeJello(piece, localPoint, localDir, strength = 1) {
+    // Impulses land on the next fixed physics step, stamped with its
+    // time, so a recorded run (see JelloWobble.replay()) reproduces exactly
+    piece.physics.applyImpulse(pokeImpulse(localPoint, localDir, strength));
+    pushPiece(piece, localDir, PUSH_SPEED * strength);
+    piece.ripples.add(localPoint, strength, clock.elapsedTime);
+}
+
+// How fast the pointer was moving just before it pressed (mouse and pen hover; touch can't)
+function hoverSpeed(time) {
+    const recent = hoverSamples.filter(sample => time - sample.time <= RELEASE_WINDOW_MS);
+    if (recent.length < 2) return 0;
+
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    return seconds > 0 ? Math.hypot(last.x - first.x, last.y - first.y) / seconds : 0;
+}
 
-            // Transform normal properly
-            vNormal = normalMatrix * normal;
-            vPosition = (modelViewMatrix * vec4(pos, 1.0)).xyz;
+// 0..1: the longer the press or the faster the approach, whichever is more
+function pokeCharge(grab, time) {
+    const held = (time - grab.startTime) / 1000 / POKE_CHARGE_TIME;
+    return Math.min(Math.max(held, grab.speedCharge), 1);
+}
 
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+/**
+ * Ring at the pointer filling up while a tap is charging - it goes solid
+ * at the firmness's cap
+ */
+function updatePokeCharge() {
+    const charging = activeGrab && !activeGrab.dragging;
+    pokeChargeRing.classList.toggle('hidden', !charging);
+    if (!charging) return;
+
+    const charge = pokeCharge(activeGrab, performance.now());
+    pokeChargeRing.style.left = `${activeGrab.startX}px`;
+    pokeChargeRing.style.top = `${activeGrab.startY}px`;
+    pokeChargeRing.style.setProperty('--charge', charge);
+    pokeChargeRing.classList.toggle('full', charge >= 1);
+}
+
+function onJelloPointerDown(event) {
+    if (activeGrab || activeCut || activeBlob || activePlateDrag || !event.isPrimary) return;
+
+    if (toolSelect.value === 'knife') {
+        startCut(event);
+        return;
+    }
+    if (toolSelect.value === 'spoon') {
+        scoopJello(event);
+        return;
+    }
+
+    setRayFromPointer(event);
+    const intersects = raycaster.intersectObjects([...[...pieces, ...blobs].map(({ mesh }) => mesh), plate, rim]);
+    if (intersects.length === 0) return;
+
+    // Grab the plate to slide it (and shake the jello)
+    if (intersects[0].object === plate || intersects[0].object === rim) {
+        startPlateDrag(event, intersects[0].point);
+        return;
+    }
+
+    // Spoonfuls lying around can be picked up and thrown
+    const blob = ownerOfHit(intersects[0], 'blob');
+    if (blob) {
+        holdBlob(event, blob);
+        return;
+    }
+
+    const piece = ownerOfHit(intersects[0], 'piece');
+    const point = intersects[0].point;
+    const localPoint = piece.mesh.worldToLocal(point.clone());
+    const localDir = raycaster.ray.direction.clone()
+        .transformDirection(piece.mesh.matrixWorld.clone().invert());
+
+    // Drag happens on a plane facing the camera through the grabbed point
+    const cameraDir = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(cameraDir.negate(), point);
+
+    activeGrab = {
+        pointerId: event.pointerId,
+        piece,
+        startX: event.clientX,
+        startY: event.clientY,
+        startTime: event.timeStamp,
+        speedCharge: Math.min(hoverSpeed(event.timeStamp) / POKE_FULL_SPEED, 1),
+        localPoint,
+        localDir,
+        plane,
+        dragging: false,
+        samples: [{ time: event.timeStamp, offset: new THREE.Vector3() }]
+    };
+
+    renderer.domElement.setPointerCapture(event.pointerId);
+    piece.physics.grab(localPoint);
+}
+
+function onJelloPointerMove(event) {
+    if (activeCut) {
+        updateCut(event);
+        return;
+    }
+    if (activeBlob) {
+        moveBlob(event);
+        return;
+    }
+    if (activePlateDrag) {
+        movePlateDrag(event);
+        return;
+    }
+    if (!activeGrab) {
+        hoverSamples.push({ time: event.timeStamp, x: event.clientX, y: event.clientY });
+        while (hoverSamples.length > 2 && event.timeStamp - hoverSamples[0].time > RELEASE_WINDOW_MS) {
+            hoverSamples.shift();
+        }
+        return;
+    }
+    if (event.pointerId !== activeGrab.pointerId) return;
+
+    if (!activeGrab.dragging) {
+        const moved = Math.hypot(event.clientX - activeGrab.startX, event.clientY - activeGrab.startY);
+        if (moved < DRAG_THRESHOLD_PX) return;
+        activeGrab.dragging = true;
+    }
+
+    setRayFromPointer(event);
+    const target = raycaster.ray.intersectPlane(activeGrab.plane, new THREE.Vector3());
+    if (!target) return;
+
+    const offset = activeGrab.piece.mesh.worldToLocal(target).sub(activeGrab.localPoint);
+    activeGrab.piece.physics.drag(offset);
+
+    activeGrab.samples.push({ time: event.timeStamp, offset });
+    while (activeGrab.samples.length > 2 &&
+           event.timeStamp - activeGrab.samples[0].time > RELEASE_WINDOW_MS) {
+        activeGrab.samples.shift();
+    }
+}
+
+function onJelloPointerUp(event) {
+    if (activeCut) {
+        finishCut(event);
+        return;
+    }
+    if (activeBlob) {
+        releaseBlob(event);
+        return;
+    }
+    if (activePlateDrag) {
+        endPlateDrag(event);
+        return;
+    }
+    if (!activeGrab || event.pointerId !== activeGrab.pointerId) return;
+
+    const { piece } = activeGrab;
+
+    if (!activeGrab.dragging) {
+        // Plain tap - let go and poke, as hard as it was charged
+        const cap = FIRMNESS_PRESETS[firmnessName].pokeCap;
+        piece.physics.release();
+        pokeJello(piece, activeGrab.localPoint, activeGrab.localDir, pokeStrength(pokeCharge(activeGrab, event.timeStamp), cap));
+    } else {
+        // Release speed from the pointer's last few samples (zero if it had stopped)
+        const recent = activeGrab.samples.filter(s => event.timeStamp - s.time <= RELEASE_WINDOW_MS);
+        const velocity = new THREE.Vector3();
+
+        if (event.type === 'pointerup' && recent.length >= 2) {
+            const first = recent[0];
+            const last = recent[recent.length - 1];
+            const seconds = (last.time - first.time) / 1000;
+            if (seconds > 0) {
+                velocity.copy(last.offset).sub(first.offset).divideScalar(seconds);
+            }
         }
-    `,
-    fragmentShader: `
-        uniform vec3 color;
-        varying vec3 vNormal;
-        varying vec3 vPosition;
 
-        void main() {
-            vec3 normal = normalize(vNormal);
+        piece.physics.release(velocity);
+        pushPiece(piece, velocity, FLING_SHARE);
+    }
 
-            // Lighting
-            vec3 lightDir1 = normalize(vec3(1.0, 1.0, 1.0));
-            float diffuse = max(dot(normal, lightDir1), 0.0);
+    activeGrab = null;
+}
 
-            // Use color with simple lighting
-            vec3 ambient = color * 0.6;
-            vec3 diffuseColor = color * diffuse * 0.4;
-            vec3 finalColor = ambient + diffuseColor;
+renderer.domElement.addEventListener('pointerdown', onJelloPointerDown);
+renderer.domElement.addEventListener('pointermove', onJelloPointerMove);
+renderer.domElement.addEventListener('pointerup', onJelloPointerUp);
+renderer.domElement.addEventListener('pointercancel', onJelloPointerUp);
+
+// Tools: the hand pokes and grabs, the knife cuts, the spoon scoops
+const toolSelect = document.getElementById('tool');
+
+// Knife - drag a line across the top of the jello to cut straight down along it
+// Strokes are drawn level with the top of the mold
+const knifeHeight = () => JELLO_Y + MOLD_BASE_Y + currentMold().height;
+const MIN_CUT_LENGTH = 0.3;     // Shorter strokes are ignored
+const MIN_CUT_DEPTH = 0.05;     // Each side must be at least this thick to become a piece
+const MAX_PIECES = 8;
+const PIECE_GAP = 0.06;         // Halves start this far apart so their cut faces don't touch
+const CUT_SPEED = 0.4;          // And drift apart a little
+const CUT_JIGGLE = 0.5;         // Poke strength of the knife on each half
+
+const knifePlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -knifeHeight());
+const knifeLine = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+    new THREE.LineBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.8, depthTest: false })
+);
+knifeLine.renderOrder = 10;  // Drawn over the jello
+knifeLine.visible = false;
+scene.add(knifeLine);
 
-            // Fresnel - edges more opaque
-            vec3 viewDir = normalize(-vPosition);
-            float fresnel = pow(1.0 - max(dot(viewDir, normal), 0.0), 3.0);
+let activeCut = null;  // { pointerId, start, end } while a cut is being drawn
 
-            // EVEN MORE TRANSPARENT - so objects show clearly!
-            float alpha = 0.25 + fresnel * 0.2;  // Was 0.3, now 0.25 for better object visibility
+function knifePoint(event) {
+    setRayFromPointer(event);
+    return raycaster.ray.intersectPlane(knifePlane, new THREE.Vector3());
+}
+
+function startCut(event) {
+    const start = knifePoint(event);
+    if (!start) return;
 
-            gl_FragColor = vec4(finalColor, alpha);
+    activeCut = { pointerId: event.pointerId, start, end: start.clone() };
+    knifeLine.geometry.setFromPoints([start, start]);
+    knifeLine.visible = true;
+    renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+function updateCut(event) {
+    if (event.pointerId !== activeCut.pointerId) return;
+
+    const end = knifePoint(event);
+    if (!end) return;
+
+    activeCut.end = end;
+    knifeLine.geometry.setFromPoints([activeCut.start, end]);
+}
+
+/**
+ * Cut every piece the stroke crosses along the vertical plane through it
+ */
+function finishCut(event) {
+    if (event.pointerId !== activeCut.pointerId) return;
+
+    const { start, end } = activeCut;
+    activeCut = null;
+    knifeLine.visible = false;
+    if (event.type !== 'pointerup') return;
+
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+    const length = Math.hypot(dx, dz);
+    if (length < MIN_CUT_LENGTH) return;
+
+    const normal = { x: -dz / length, z: dx / length };
+    const along = { x: dx / length, z: dz / length };
+    const strokeStart = along.x * start.x + along.z * start.z;
+
+    let cuts = 0;
+    for (const piece of pieces.slice()) {
+        if (pieces.length >= MAX_PIECES) {
+            console.log(`🔪 That's enough pieces (max ${MAX_PIECES})`);
+            break;
         }
-    `,
-    transparent: true,
-    side: THREE.DoubleSide,
-    depthWrite: false,  // CRITICAL for transparent objects
-    blending: THREE.NormalBlending  // Proper alpha blending
-});
 
-const jelloMesh = new THREE.Mesh(jelloGeometry, jelloMaterial);
-jelloMesh.position.set(0, 1.15, 0);  // Adjusted to sit on plate (was 1.0)
-jelloMesh.castShadow = true;
-jelloMesh.receiveShadow = true;
-scene.add(jelloMesh);
+        const { x, z } = piece.mesh.position;
 
-// Add tiny bubbles for extra realism
-const bubbleGeometry = new THREE.SphereGeometry(0.02, 8, 8);
-const bubbleMaterial = new THREE.MeshBasicMaterial({
-    color: 0xffffff,
-    transparent: true,
-    opacity: 0.3
-});
+        // Only pieces the stroke actually crosses, not everything on its line
+        const span = planeExtent({ x: along.x, z: along.z, offset: strokeStart - (along.x * x + along.z * z) }, piece.footprint);
+        if (span.max <= 0 || span.min >= length) continue;
+
+        // The cut in the piece's own frame
+        const plane = { x: normal.x, z: normal.z, offset: normal.x * (start.x - x) + normal.z * (start.z - z) };
+        const depth = planeExtent(plane, piece.footprint);
+        if (depth.min > -MIN_CUT_DEPTH || depth.max < MIN_CUT_DEPTH) continue;
+
+        if (cutPiece(piece, plane)) cuts++;
+    }
+
+    if (cuts > 0) {
+        resolveObjectCollisions();
+        console.log(`🔪 Cut ${cuts} piece${cuts > 1 ? 's' : ''} - ${pieces.length} on the plate`);
+    }
+}
 
-const bubbles = new THREE.InstancedMesh(bubbleGeometry, bubbleMaterial, 20);
+/**
+ * Cut one piece in two along a vertical plane in its own frame. Each half
+ * becomes a new piece with its own physics; bubbles and objects go with
+ * the half that holds their centre. Returns false if the plane only
+ * grazed it.
+ */
+function cutPiece(piece, plane) {
+    const halves = splitGeometry(piece.geometry, plane);
+    if (!halves) return false;
+
+    // The same cut in the whole jello's frame, for the soft-body lattice
+    const wholeOffset = plane.offset + plane.x * piece.origin.x + plane.z * piece.origin.z;
+    const sideOf = (x, z) => planeDistance(plane, x, z) >= 0 ? 1 : -1;
+
+    for (const [geometry, side] of [[halves.front, 1], [halves.back, -1]]) {
+        // Each half gets a frame centred on its own footprint
+        const centre = footprintCentre(footprint(geometry));
+        geometry.translate(-centre.x, 0, -centre.z);
+
+        const bubbles = [];
+        for (let i = 0; i < piece.bubbles.length; i += 4) {
+            const [x, y, z, scale] = piece.bubbles.subarray(i, i + 4);
+            if (sideOf(x, z) === side) bubbles.push(x - centre.x, y, z - centre.z, scale);
+        }
+
+        const away = { x: plane.x * side, z: plane.z * side };
+        const half = createJelloPiece({
+            geometry,
+            origin: { x: piece.origin.x + centre.x, z: piece.origin.z + centre.z },
+            clip: [...piece.clip, { x: away.x, z: away.z, offset: wholeOffset * side }],
+            position: piece.mesh.position.clone().add(new THREE.Vector3(
+                centre.x + away.x * PIECE_GAP / 2,
+                0,
+                centre.z + away.z * PIECE_GAP / 2
+            )),
+            bubbles: new Float32Array(bubbles)
+        });
+        half.velocity.x = piece.velocity.x + away.x * CUT_SPEED;
+        half.velocity.z = piece.velocity.z + away.z * CUT_SPEED;
+
+        embeddedObjects
+            .filter(entry => entry.piece === piece && sideOf(entry.restPosition.x, entry.restPosition.z) === side)
+            .forEach(entry => {
+                entry.restPosition.x -= centre.x;
+                entry.restPosition.z -= centre.z;
+                attachObject(entry, half);
+            });
 
-// Store original bubble positions - positioned inside cylinder
-const bubblePositions = [];
-for (let i = 0; i < 20; i++) {
-    bubblePositions.push({
-        x: (Math.random() - 0.5) * 2,
-        y: Math.random() * 1.5 - 0.5,
-        z: (Math.random() - 0.5) * 2,
-        scale: 0.5 + Math.random() * 0.5
+        // The blade pressing down next to the cut face
+        half.physics.applyImpulse(pokeImpulse(
+            { x: -away.x * 0.5, y: 1, z: -away.z * 0.5 },
+            { x: 0, y: -1, z: 0 },
+            CUT_JIGGLE
+        ));
+    }
+
+    removeJelloPiece(piece);
+    return true;
+}
+
+/**
+ * Back to one whole jello, e.g. for a fresh pour. Objects keep their
+ * place in the jello.
+ */
+function restoreWholeJello() {
+    const whole = createJelloPiece({
+        geometry: createJelloGeometry(),
+        position: new THREE.Vector3(plate.position.x, JELLO_Y, plate.position.z),
+        bubbles: createBubblePositions()
+    });
+
+    embeddedObjects.forEach(entry => {
+        entry.restPosition.x += entry.piece.origin.x;
+        entry.restPosition.z += entry.piece.origin.z;
+        attachObject(entry, whole);
     });
+
+    pieces.filter(piece => piece !== whole).forEach(removeJelloPiece);
+    resolveObjectCollisions();
 }
 
-bubbles.position.set(0, 1.15, 0);  // Match jello position
-scene.add(bubbles);
+/**
+ * Loose pieces slide where they were pushed and slow down, stay on the
+ * plate and bump into each other instead of overlapping
+ */
+function slidePieces(delta) {
+    const slow = Math.exp(-PIECE_FRICTION * delta);
+    const moving = new Set();
+
+    pieces.forEach(piece => {
+        const { velocity, mesh } = piece;
+        if (velocity.x === 0 && velocity.z === 0) return;
+
+        mesh.position.x += velocity.x * delta;
+        mesh.position.z += velocity.z * delta;
+        velocity.x *= slow;
+        velocity.z *= slow;
+        if (Math.hypot(velocity.x, velocity.z) < 0.01) velocity.x = velocity.z = 0;
+        moving.add(piece);
+    });
+    if (moving.size === 0) return;
+
+    const placed = piece => piece.footprint.map(point => ({
+        x: point.x + piece.mesh.position.x,
+        z: point.z + piece.mesh.position.z
+    }));
+
+    // Overlapping pieces are pushed apart half each, and stop closing in
+    for (let i = 0; i < pieces.length; i++) {
+        for (let j = i + 1; j < pieces.length; j++) {
+            const a = pieces[i];
+            const b = pieces[j];
+            if (!moving.has(a) && !moving.has(b)) continue;
+
+            const gap = Math.hypot(a.mesh.position.x - b.mesh.position.x, a.mesh.position.z - b.mesh.position.z);
+            if (gap > a.reach + b.reach) continue;
+
+            const push = separationBetween(placed(a), placed(b));
+            if (!push) continue;
+
+            a.mesh.position.x -= push.x / 2;
+            a.mesh.position.z -= push.z / 2;
+            b.mesh.position.x += push.x / 2;
+            b.mesh.position.z += push.z / 2;
+
+            const depth = Math.hypot(push.x, push.z);
+            const nx = push.x / depth;
+            const nz = push.z / depth;
+            const closing = (b.velocity.x - a.velocity.x) * nx + (b.velocity.z - a.velocity.z) * nz;
+            if (closing < 0) {
+                a.velocity.x += nx * closing / 2;
+                a.velocity.z += nz * closing / 2;
+                b.velocity.x -= nx * closing / 2;
+                b.velocity.z -= nz * closing / 2;
+            }
+        }
+    }
 
-// Multiple wobble modes with independent spring systems
-const wobbleState = {
-    // Tilt wobble (x and z rotation) - slow rocking
-    tiltX: { position: 0, velocity: 0, stiffness: 25 },
-    tiltZ: { position: 0, velocity: 0, stiffness: 25 },
+    // Keep the whole footprint inside the rim
+    moving.forEach(piece => {
+        let worst = null;
+        let overshoot = 0;
+        for (const point of placed(piece)) {
+            const x = point.x - plate.position.x;
+            const z = point.z - plate.position.z;
+            const distance = Math.hypot(x, z);
+            if (distance - PLATE_EDGE > overshoot) {
+                overshoot = distance - PLATE_EDGE;
+                worst = { x: x / distance, z: z / distance };
+            }
+        }
+        if (!worst) return;
+
+        piece.mesh.position.x -= worst.x * overshoot;
+        piece.mesh.position.z -= worst.z * overshoot;
+        const outward = piece.velocity.x * worst.x + piece.velocity.z * worst.z;
+        if (outward > 0) {
+            piece.velocity.x -= worst.x * outward;
+            piece.velocity.z -= worst.z * outward;
+        }
+    });
+}
 
-    // Squash wobble (y scale oscillation) - medium speed
-    squash: { position: 0, velocity: 0, stiffness: 45 },
+// Spoon - takes a ball-shaped bite where it goes in. The spoonful is a
+// loose blob with its own wobble that can be flung off the plate
+const BITE_RADIUS = 0.3;
+const BITE_DEPTH = 0.1;         // The bite's centre is this far in from the surface
+const SCOOP_JIGGLE = 0.6;       // Poke strength of the spoon on the jello
+const BLOB_RADIUS = 0.2;
+const BLOB_POP = 2.5;           // Upward speed of a spoonful that is let go of straight away
+const BLOB_BOUNCE_SPEED = 1;    // Landing faster than this bounces (and squelches)
+const BLOB_FRICTION = 4;        // Per second, while on a surface
+const BLOB_LIFETIME = 3;        // Seconds on the floor before a spoonful is cleared away
+const MAX_BLOBS = 6;            // The oldest goes when there are more
+const GRAVITY = 9.8;
+
+const blobs = [];
+let activeBlob = null;  // { pointerId, blob, plane, samples } while a blob is held
+
+// Unit sphere, so the jello shader's wobble (made for y from -1 to 1) fits; scaled per blob
+const blobGeometry = new THREE.IcosahedronGeometry(1, 3);
+blobGeometry.setAttribute('softOffset', new THREE.BufferAttribute(
+    new Float32Array(blobGeometry.attributes.position.count * 3), 3
+));
+blobGeometry.setAttribute('softSlope', new THREE.BufferAttribute(
+    new Float32Array(blobGeometry.attributes.position.count * 9), 9
+));
+
+/**
+ * Take a spoonful out of the piece under the pointer. The piece is rebuilt
+ * with a crater; the spoonful comes up in the spoon (held by the pointer)
+ * together with any object the bite reached.
+ */
+function scoopJello(event) {
+    setRayFromPointer(event);
+    const intersects = raycaster.intersectObjects(pieces.map(piece => piece.mesh));
+    if (intersects.length === 0) return;
+
+    const piece = ownerOfHit(intersects[0], 'piece');
+    const point = intersects[0].point;
+    const localPoint = piece.mesh.worldToLocal(point.clone());
+    const localDir = raycaster.ray.direction.clone()
+        .transformDirection(piece.mesh.matrixWorld.clone().invert());
+    const centre = localPoint.clone().addScaledVector(localDir, BITE_DEPTH);
+
+    const geometry = scoopGeometry(piece.geometry, { centre, radius: BITE_RADIUS, direction: localDir });
+    if (!geometry) return;
+
+    // Bubbles in the bite are dropped - a spoonful has no bubbles of its own
+    const bubbles = [];
+    for (let i = 0; i < piece.bubbles.length; i += 4) {
+        const [x, y, z, scale] = piece.bubbles.subarray(i, i + 4);
+        if (Math.hypot(x - centre.x, y - centre.y, z - centre.z) > BITE_RADIUS) bubbles.push(x, y, z, scale);
+    }
 
-    // Twist wobble (y rotation) - very slow
-    twist: { position: 0, velocity: 0, stiffness: 15 }
-};
+    const scooped = createJelloPiece({
+        geometry,
+        origin: piece.origin,
+        clip: piece.clip,
+        position: piece.mesh.position.clone(),
+        bubbles: new Float32Array(bubbles)
+    });
+    scooped.velocity.x = piece.velocity.x;
+    scooped.velocity.z = piece.velocity.z;
+
+    // The spoonful is all the layer it came out of
+    const blob = createBlob(point, layerAt(jelloLayers, (centre.y - MOLD_BASE_Y) / currentMold().height));
+    embeddedObjects
+        .filter(entry => entry.piece === piece)
+        .forEach(entry => {
+            // Reaching the object's middle is enough to lift it out
+            if (centre.distanceTo(entry.restPosition) < BITE_RADIUS + entry.radius * 0.5) {
+                scoopObject(entry, blob);
+            } else {
+                attachObject(entry, scooped);
+            }
+        });
 
-const dampingFactor = 0.97; // Controls decay rate
+    removeJelloPiece(piece);
+    scooped.physics.applyImpulse(pokeImpulse(localPoint, localDir, SCOOP_JIGGLE));
+    scooped.ripples.add(localPoint, SCOOP_JIGGLE, clock.elapsedTime);
+    audio.plop(0.8);
+    holdBlob(event, blob);
+    console.log('🥄 Scooped a spoonful', blob.objects.length > 0 ? `with ${blob.objects.map(entry => entry.name).join(', ')}` : '');
+}
 
-function updateSpring(spring, deltaTime) {
-    // Spring force: velocity += -position * stiffness
-    spring.velocity += -spring.position * spring.stiffness * deltaTime;
+function createBlob(position, layer) {
+    if (blobs.length >= MAX_BLOBS) removeBlob(blobs[0]);
+
+    const material = createJelloMaterial({ ...transmission.uniforms, ...createLayerUniforms([layer]) });
+    const mesh = new THREE.Mesh(blobGeometry, material);
+    mesh.scale.setScalar(BLOB_RADIUS);
+    mesh.position.copy(position);
+    mesh.customDepthMaterial = jelloDepthMaterial(material);
+    mesh.castShadow = true;
+    scene.add(mesh);
+
+    const blob = {
+        mesh,
+        material,
+        // Same gel as the jello, just the spring modes - no lattice for a spoonful
+        wobble: new JelloWobble({ ...physicsConfig(), softBody: null }),
+        velocity: new THREE.Vector3(),
+        held: false,
+        objects: [],     // Objects that came out with it
+        restingFor: 0    // Seconds on the floor, off the plate
+    };
+    mesh.userData.blob = blob;
+    blobs.push(blob);
+    return blob;
+}
 
-    // Damping: velocity *= dampingFactor
-    spring.velocity *= dampingFactor;
+function removeBlob(blob) {
+    const index = blobs.indexOf(blob);
+    if (index === -1) return;
 
-    // Update position: position += velocity * deltaTime
-    spring.position += spring.velocity * deltaTime;
+    blobs.splice(index, 1);
+    if (activeBlob && activeBlob.blob === blob) activeBlob = null;
+    scene.remove(blob.mesh);
+    blob.material.dispose();
+    blob.mesh.customDepthMaterial.dispose();
+    blob.objects.forEach(disposeObject);
 }
 
-// Click handler for wobble
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
+// An object lifted out of the jello rides in the middle of the spoonful
+function scoopObject(entry, blob) {
+    takeObjectOut(entry);
+    blob.objects.push(entry);
+    blob.mesh.add(entry.mesh);
 
-function onJelloClick(event) {
-    // Convert mouse position to normalized device coordinates
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    entry.mesh.position.set(0, 0, 0);
+    entry.mesh.rotation.set(0, 0, 0);
+    entry.mesh.scale.setScalar(entry.size / BLOB_RADIUS);  // Its own size, not the blob's
+}
 
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObject(jelloMesh);
+function holdBlob(event, blob) {
+    const cameraDir = camera.getWorldDirection(new THREE.Vector3());
+
+    activeBlob = {
+        pointerId: event.pointerId,
+        blob,
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(cameraDir.negate(), blob.mesh.position),
+        samples: [{ time: event.timeStamp, position: blob.mesh.position.clone() }]
+    };
+    blob.held = true;
+    blob.restingFor = 0;
+    blob.velocity.set(0, 0, 0);
+    renderer.domElement.setPointerCapture(event.pointerId);
+}
 
-    if (intersects.length > 0) {
-        const point = intersects[0].point;
-        const localPoint = jelloMesh.worldToLocal(point.clone());
+function moveBlob(event) {
+    if (event.pointerId !== activeBlob.pointerId) return;
 
-        // Add random impulses to all wobble modes
-        // Tilt wobble: based on where clicked (stronger impulse)
-        wobbleState.tiltX.velocity += (localPoint.z / 1.5) * 5.0;
-        wobbleState.tiltZ.velocity += -(localPoint.x / 1.5) * 5.0;
+    setRayFromPointer(event);
+    const target = raycaster.ray.intersectPlane(activeBlob.plane, new THREE.Vector3());
+    if (!target) return;
 
-        // Squash wobble: always squash down when clicked (much stronger)
-        wobbleState.squash.velocity += -8.0;
+    target.y = Math.max(target.y, floorUnder(target) + BLOB_RADIUS);
+    activeBlob.blob.mesh.position.copy(target);
 
-        // Twist wobble: random rotation (stronger)
-        wobbleState.twist.velocity += (Math.random() - 0.5) * 4.0;
+    const { samples } = activeBlob;
+    samples.push({ time: event.timeStamp, position: target });
+    while (samples.length > 2 && event.timeStamp - samples[0].time > RELEASE_WINDOW_MS) {
+        samples.shift();
     }
 }
 
-window.addEventListener('click', onJelloClick);
+/**
+ * Let go of a blob: thrown at the pointer's release speed, or - if it
+ * was never moved - popped up out of the spoon
+ */
+function releaseBlob(event) {
+    if (event.pointerId !== activeBlob.pointerId) return;
+
+    const { blob, samples } = activeBlob;
+    activeBlob = null;
+    blob.held = false;
+
+    if (samples.length === 1) {
+        const back = camera.getWorldDirection(new THREE.Vector3()).negate();
+        blob.velocity.set(back.x, 0, back.z).normalize().multiplyScalar(BLOB_POP / 2);
+        blob.velocity.y = BLOB_POP;
+    } else {
+        const recent = samples.filter(s => event.timeStamp - s.time <= RELEASE_WINDOW_MS);
+        if (event.type === 'pointerup' && recent.length >= 2) {
+            const first = recent[0];
+            const last = recent[recent.length - 1];
+            const seconds = (last.time - first.time) / 1000;
+            if (seconds > 0) blob.velocity.copy(last.position).sub(first.position).divideScalar(seconds);
+        }
+    }
+
+    // Jiggles as it leaves the hand
+    blob.wobble.applyImpulse(pokeImpulse({ x: 0.3, y: 1, z: 0 }, { x: 0, y: -1, z: 0 }, 0.5));
+}
+
+// The plate, or the floor around it
+function floorUnder(position) {
+    const fromPlate = Math.hypot(position.x - plate.position.x, position.z - plate.position.z);
+    return fromPlate < PLATE_RADIUS ? PLATE_TOP : 0;
+}
+
+// Resting on the plate (not flying, not on the floor)
+function onPlate(blob) {
+    return !blob.held && floorUnder(blob.mesh.position) === PLATE_TOP &&
+           blob.mesh.position.y === PLATE_TOP + BLOB_RADIUS;
+}
+
+/**
+ * Blobs fly, land with a squelch, slide to a stop and are cleared away
+ * once they have lain on the floor for a while
+ */
+function updateBlobs(delta) {
+    blobs.slice().forEach(blob => {
+        const { mesh, velocity, wobble } = blob;
+
+        if (!blob.held) {
+            velocity.y -= GRAVITY * delta;
+            mesh.position.addScaledVector(velocity, delta);
+
+            const floor = floorUnder(mesh.position) + BLOB_RADIUS;
+            if (mesh.position.y <= floor) {
+                mesh.position.y = floor;
+
+                if (velocity.y < -BLOB_BOUNCE_SPEED) {
+                    wobble.applyImpulse(pokeImpulse({ x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 }, Math.min(-velocity.y / 4, 1.5)));
+                    audio.plop(-velocity.y / 6);
+                    velocity.y *= -0.3;
+                } else {
+                    velocity.y = 0;
+                }
+
+                const slow = Math.exp(-BLOB_FRICTION * delta);
+                velocity.x *= slow;
+                velocity.z *= slow;
+            }
+
+            if (floor === BLOB_RADIUS && mesh.position.y === floor) {
+                blob.restingFor += delta;
+                if (blob.restingFor > BLOB_LIFETIME) {
+                    removeBlob(blob);
+                    return;
+                }
+            }
+        }
+
+        wobble.advance(delta);
+        setWobbleUniforms(blob.material, wobble.springs);
+    });
+}
+
+// Plate - drag it, or nudge it with the arrow keys, and the jello rides
+// along. It follows where it's put on a stiff spring, and each change of
+// speed shakes every piece (JelloWobble.shake): the base goes with the
+// plate, the top lags and wobbles
+const PLATE_RADIUS = 2.5;
+const PLATE_TOP = 0.15;
+const PLATE_TRAVEL = 1.5;       // Furthest the plate goes from the middle of the table
+const PLATE_NUDGE = 0.3;        // Per arrow key press
+const PLATE_FOLLOW = 18;        // Spring frequency (per second) of the plate chasing its target
+const MIN_SHAKE = 0.005;        // Smaller speed changes aren't worth sending
+
+const plateTarget = new THREE.Vector3(0, 0, 0);   // Where the plate is headed (x, z)
+const plateVelocity = new THREE.Vector3();
+let activePlateDrag = null;  // { pointerId, plane, offset } while the plate is held
+
+function setPlateTarget(x, z) {
+    const distance = Math.hypot(x, z);
+    const scale = distance > PLATE_TRAVEL ? PLATE_TRAVEL / distance : 1;
+    plateTarget.set(x * scale, 0, z * scale);
+}
+
+function startPlateDrag(event, point) {
+    activePlateDrag = {
+        pointerId: event.pointerId,
+        plane: new THREE.Plane(new THREE.Vector3(0, 1, 0), -point.y),
+        offset: new THREE.Vector3(plate.position.x - point.x, 0, plate.position.z - point.z)
+    };
+    renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+function movePlateDrag(event) {
+    if (event.pointerId !== activePlateDrag.pointerId) return;
+
+    setRayFromPointer(event);
+    const point = raycaster.ray.intersectPlane(activePlateDrag.plane, new THREE.Vector3());
+    if (point) setPlateTarget(point.x + activePlateDrag.offset.x, point.z + activePlateDrag.offset.z);
+}
+
+function endPlateDrag(event) {
+    if (event.pointerId === activePlateDrag.pointerId) activePlateDrag = null;
+}
+
+window.addEventListener('keydown', (event) => {
+    // Arrow keys still work as usual in the controls
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+    const nudges = {
+        ArrowLeft: [-PLATE_NUDGE, 0],
+        ArrowRight: [PLATE_NUDGE, 0],
+        ArrowUp: [0, -PLATE_NUDGE],     // Away from the camera
+        ArrowDown: [0, PLATE_NUDGE]
+    };
+    const nudge = nudges[event.key];
+    if (!nudge) return;
+
+    event.preventDefault();
+    setPlateTarget(plateTarget.x + nudge[0], plateTarget.z + nudge[1]);
+});
+
+/**
+ * Move the plate towards its target and carry everything on it along
+ */
+function updatePlate(delta) {
+    const dt = Math.min(delta, 1 / 30);  // Keeps the follow spring stable after a stall
+    if (dt <= 0) return;
+
+    const before = plate.position.clone();
+    const speedBefore = plateVelocity.clone();
+
+    // Critically damped, so it arrives briskly without overshooting
+    for (const axis of ['x', 'z']) {
+        const pull = (plateTarget[axis] - plate.position[axis]) * PLATE_FOLLOW * PLATE_FOLLOW;
+        plateVelocity[axis] += (pull - plateVelocity[axis] * 2 * PLATE_FOLLOW) * dt;
+        plate.position[axis] += plateVelocity[axis] * dt;
+    }
+    rim.position.x = plate.position.x;
+    rim.position.z = plate.position.z;
+
+    const moved = plate.position.clone().sub(before);
+    const shake = plateVelocity.clone().sub(speedBefore);
+    const shaking = Math.hypot(shake.x, shake.z) > MIN_SHAKE;
+
+    pieces.forEach(piece => {
+        piece.mesh.position.x += moved.x;
+        piece.mesh.position.z += moved.z;
+        if (shaking) piece.physics.shake(shake);
+    });
+
+    blobs.filter(onPlate).forEach(blob => {
+        blob.mesh.position.x += moved.x;
+        blob.mesh.position.z += moved.z;
+        if (shaking) blob.wobble.shake(shake);
+    });
+}
 
 // Initialize quality-focused object processor
 // Perfect background removal + subtle effects = looks great!
@@ -345,10 +1344,310 @@ const objectProcessor = new JelloObjectProcessor({
     }
 });
 
+// How uploaded photos are built: 'solid' (extruded), 'relief' (2.5D) or 'flat'
+const objectStyleSelect = document.getElementById('object-style');
+
+/**
+ * Geometry for a new object in the chosen style. Solid extrudes the alpha
+ * mask, relief displaces the card by the estimated depth map; either falls
+ * back to a flat card when the processor couldn't provide what it needs.
+ */
+function createObjectGeometry(style, shapeData, width, height) {
+    let geometry = null;
+
+    if (style === 'solid') {
+        geometry = createExtrudedObjectGeometry(shapeData.alphaMask, width, height);
+    } else if (style === 'relief') {
+        geometry = createReliefObjectGeometry(shapeData.depthMap, width, height);
+    }
+
+    return geometry || new THREE.PlaneGeometry(width, height, 16, 16);
+}
+
+/**
+ * Embed a loaded texture in the jello as a new object.
+ * shapeData is the processor result ({ alphaMask, depthMap }) used to give
+ * the object thickness - see createObjectGeometry().
+ * Each object gets its own rest position, size and list entry, and is
+ * pushed clear of the others and kept inside the jello.
+ */
+function addEmbeddedObject(texture, name, shapeData = {}) {
+    // Texture quality settings
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    texture.generateMipmaps = false;
+
+    // Calculate size maintaining aspect ratio
+    const aspect = texture.image.width / texture.image.height;
+    let width, height;
+    const maxSize = 1.8;
+
+    if (aspect > 1) {
+        width = maxSize;
+        height = maxSize / aspect;
+    } else {
+        height = maxSize;
+        width = maxSize * aspect;
+    }
+
+    // Create geometry - solid, relief or flat card
+    const geometry = createObjectGeometry(objectStyleSelect.value, shapeData, width, height);
+
+    // MeshStandardMaterial with subtle adjustments to complement jello effects
+    const material = new THREE.MeshStandardMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.DoubleSide,
+        alphaTest: 0.05,
+
+        // Keep object colors relatively true
+        roughness: 0.5,
+        metalness: 0.0,
+
+        // Very subtle glow in the jello's colour (see tintObjectMaterial)
+        emissiveIntensity: 0.1,
+
+        depthWrite: true,
+        depthTest: true
+    });
+    tintObjectMaterial(material);  // Slight color adjustment - barely noticeable tint
+
+    // Create mesh
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = false;
+    mesh.renderOrder = 1;
+
+    // Add subtle outline (less prominent since object already has glow)
+    const outlineGeometry = geometry.clone();
+    outlineGeometry.scale(OUTLINE_SCALE, OUTLINE_SCALE, OUTLINE_SCALE);
+
+    const outlineMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.15,  // Reduced opacity
+        side: THREE.BackSide,
+        depthTest: true,
+        blending: THREE.AdditiveBlending
+    });
+
+    const outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
+
+    mesh.add(outline);
+
+    // Collision sphere at size 1 - cards have transparent corners, so a bit under half the longest side
+    const baseRadius = Math.max(width, height) * 0.5 * 0.7;
+    const size = DEFAULT_OBJECT_SIZE;
+
+    const entry = {
+        id: nextObjectId++,
+        name,
+        mesh,
+        outline,
+        size,
+        baseRadius,
+        radius: baseRadius * size,
+        restPosition: null,
+        piece: null,  // The piece of jello it is in
+        controls: null,
+
+        // The physics deforms copies of the undeformed vertices and sends them back
+        vertices: geometry.attributes.position.array.slice(),
+        outlineVertices: outlineGeometry.attributes.position.array.slice()
+    };
+
+    // New objects go in the biggest piece, at the usual spots if they're in it
+    const piece = pieces.reduce((best, candidate) =>
+        footprintArea(candidate.footprint) > footprintArea(best.footprint) ? candidate : best);
+    const rise = currentMold().height / 2;
+    const spots = OBJECT_SPOTS.map(spot => ({
+        x: spot.x - piece.origin.x,
+        y: MOLD_BASE_Y + (spot.y - MOLD_BASE_Y) * rise,
+        z: spot.z - piece.origin.z
+    }));
+
+    entry.restPosition = findFreeSpot(collisionItems(piece), entry.radius, piece.shape, spots);
+    embeddedObjects.push(entry);
+    geometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+    outlineGeometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+
+    mesh.scale.setScalar(size);
+    mesh.position.copy(entry.restPosition);
+
+    // Add to jello mesh
+    attachObject(entry, piece);
+    resolveObjectCollisions();
+    addObjectListItem(entry);
+
+    return entry;
+}
+
+function removeEmbeddedObject(entry) {
+    if (takeObjectOut(entry)) disposeObject(entry);
+}
+
+// Out of the jello and off the list, mesh kept (see scoopObject)
+function takeObjectOut(entry) {
+    const index = embeddedObjects.indexOf(entry);
+    if (index === -1) return false;
+
+    embeddedObjects.splice(index, 1);
+    entry.piece.physics.removeBody(entry.id);
+    entry.piece = null;
+
+    if (entry.controls) entry.controls.item.remove();
+    updateObjectListVisibility();
+    return true;
+}
+
+function disposeObject(entry) {
+    if (entry.mesh.parent) entry.mesh.parent.remove(entry.mesh);
+    entry.mesh.geometry.dispose();
+    if (entry.mesh.material.map) entry.mesh.material.map.dispose();
+    entry.mesh.material.dispose();
+    entry.outline.geometry.dispose();
+    entry.outline.material.dispose();
+}
+
+/**
+ * Put an object in a piece of jello: its mesh rides on the piece and its
+ * body joins the piece's physics (new objects, and objects in a piece
+ * that was cut)
+ */
+function attachObject(entry, piece) {
+    entry.piece = piece;
+    piece.mesh.add(entry.mesh);
+    piece.physics.addBody(entry.id, {
+        position: entry.restPosition,
+        mass: objectMass(entry),
+        size: entry.size,
+        vertices: entry.vertices,
+        outlineVertices: entry.outlineVertices,
+        outlineScale: OUTLINE_SCALE
+    });
+}
+
+/**
+ * Push overlapping objects apart and back inside the jello, piece by piece.
+ * `pinned` (the object being edited) keeps its spot where it can.
+ */
+function resolveObjectCollisions(pinned = null) {
+    pieces.forEach(piece => separateObjects(collisionItems(piece, pinned), piece.shape));
+    embeddedObjects.forEach(entry => {
+        entry.piece.physics.updateBody(entry.id, { position: entry.restPosition });
+        syncObjectControls(entry);
+    });
+}
+
+// Bigger objects are heavier, so they couple more loosely to the gel and lag more
+function objectMass(entry) {
+    return 0.4 + 1.6 * entry.size * entry.size;
+}
+
+// Collision spheres for jello-objects.js - positions are shared, so results land on the entries
+function collisionItems(piece, pinned = null) {
+    return embeddedObjects.filter(entry => entry.piece === piece).map(entry => {
+        entry.radius = entry.baseRadius * entry.size;
+        return { position: entry.restPosition, radius: entry.radius, pinned: entry === pinned };
+    });
+}
+
+// Object list - position, size and removal per embedded object
+const objectList = document.getElementById('object-list');
+
+const OBJECT_SLIDERS = [
+    { key: 'x', label: 'Left / right', min: -1.8, max: 1.8, step: 0.01 },
+    { key: 'y', label: 'Height', min: -1, max: 1, step: 0.01 },
+    { key: 'z', label: 'Depth', min: -1.8, max: 1.8, step: 0.01 },
+    { key: 'size', label: 'Size', min: 0.3, max: 1.2, step: 0.05 }
+];
+
+function addObjectListItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'object-item';
+
+    const header = document.createElement('div');
+    header.className = 'object-item-header';
+
+    const title = document.createElement('span');
+    title.className = 'object-name';
+    title.textContent = entry.name || `Object ${entry.id}`;
+    title.title = title.textContent;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'object-remove';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove from jello';
+    removeButton.addEventListener('click', () => removeEmbeddedObject(entry));
+
+    header.append(title, removeButton);
+    item.appendChild(header);
+
+    const inputs = {};
+    OBJECT_SLIDERS.forEach(({ key, label, min, max, step }) => {
+        const row = document.createElement('label');
+        row.className = 'object-slider';
+        row.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (key === 'size') {
+                entry.size = value;
+                entry.mesh.scale.setScalar(value);
+                entry.piece.physics.updateBody(entry.id, { size: value, mass: objectMass(entry) });
+            } else {
+                entry.restPosition[key] = value;
+            }
+            resolveObjectCollisions(entry);
+        });
+
+        row.appendChild(input);
+        item.appendChild(row);
+        inputs[key] = input;
+    });
+
+    entry.controls = { item, inputs };
+    syncObjectControls(entry);
+
+    objectList.appendChild(item);
+    updateObjectListVisibility();
+}
+
+// Sliders show where collision/containment actually left the object
+function syncObjectControls(entry) {
+    if (!entry.controls) return;
+
+    const { inputs } = entry.controls;
+    inputs.x.value = entry.restPosition.x;
+    inputs.y.value = entry.restPosition.y;
+    inputs.z.value = entry.restPosition.z;
+    inputs.size.value = entry.size;
+}
+
+function updateObjectListVisibility() {
+    objectList.classList.toggle('hidden', embeddedObjects.length === 0);
+}
+
+// Says so in the upload status when there's no room for another object
+function reportIfJelloFull(statusDiv) {
+    if (embeddedObjects.length < MAX_EMBEDDED_OBJECTS) return false;
+
+    statusDiv.textContent = `✗ Jello is full (max ${MAX_EMBEDDED_OBJECTS} objects) - remove one first`;
+    statusDiv.style.color = '#cc0000';
+    return true;
+}
+
 // File upload handler
 document.getElementById('imageUpload').addEventListener('change', async function(e) {
     const file = e.target.files[0];
     if (!file) return;
+    e.target.value = '';  // Allow the same photo to be embedded again
 
     const statusDiv = document.getElementById('upload-status');
     statusDiv.innerHTML = '<span class="loading-spin">⏳</span> Jellofying image...';
@@ -368,37 +1667,10 @@ document.getElementById('imageUpload').addEventListener('change', async function
         return;
     }
 
-    try {
-        // STEP 1: Remove all existing objects
-        console.log('Cleaning up old objects...');
-
-        const childrenToRemove = [];
-        jelloMesh.traverse((child) => {
-            if (child.type === 'Mesh' &&
-                child.geometry &&
-                child.geometry.type === 'PlaneGeometry') {
-                childrenToRemove.push(child);
-            }
-        });
+    if (reportIfJelloFull(statusDiv)) return;
 
-        childrenToRemove.forEach(child => {
-            if (child.parent) child.parent.remove(child);
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (child.material.map) child.material.map.dispose();
-                child.material.dispose();
-            }
-            if (child.children && child.children.length > 0) {
-                child.children.forEach(grandchild => {
-                    if (grandchild.geometry) grandchild.geometry.dispose();
-                    if (grandchild.material) grandchild.material.dispose();
-                });
-            }
-        });
-
-        jellyObject = null;
-
-        // STEP 2: PROCESS FOR JELLO (perfect background removal + subtle effects!)
+    try {
+        // STEP 1: PROCESS FOR JELLO (perfect background removal + subtle effects!)
         console.log('🎨 Processing for jello...');
         statusDiv.innerHTML = '<span class="loading-spin">✂️</span> Removing background...';
 
@@ -411,7 +1683,7 @@ document.getElementById('imageUpload').addEventListener('change', async function
         const jellofiedImageUrl = result.processedImage;
         console.log('Jellofied image URL received:', jellofiedImageUrl.substring(0, 100) + '...');
 
-        // STEP 3: Load processed image as texture
+        // STEP 2: Load processed image as texture
         console.log('Loading texture from jellofied URL...');
         statusDiv.innerHTML = '<span class="loading-spin">⏳</span> Creating 3D object...';
 
@@ -421,104 +1693,13 @@ document.getElementById('imageUpload').addEventListener('change', async function
 
             console.log('Texture loaded successfully, creating mesh...');
 
-            // Texture quality settings
-            texture.minFilter = THREE.LinearFilter;
-            texture.magFilter = THREE.LinearFilter;
-            texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
-            texture.generateMipmaps = false;
-
-            // Calculate size maintaining aspect ratio
-            const aspect = texture.image.width / texture.image.height;
-            let width, height;
-            const maxSize = 1.8;
-
-            if (aspect > 1) {
-                width = maxSize;
-                height = maxSize / aspect;
-            } else {
-                height = maxSize;
-                width = maxSize * aspect;
-            }
-
-            // Create geometry
-            const geometry = new THREE.PlaneGeometry(width, height, 16, 16);
-
-            // Store original vertices for wobble deformation
-            const originalVertices = [];
-            const positions = geometry.attributes.position;
-            for (let i = 0; i < positions.count; i++) {
-                originalVertices.push({
-                    x: positions.getX(i),
-                    y: positions.getY(i),
-                    z: positions.getZ(i)
-                });
-            }
-
-            // MeshStandardMaterial with subtle adjustments to complement jello effects
-            const material = new THREE.MeshStandardMaterial({
-                map: texture,
-                transparent: true,
-                side: THREE.DoubleSide,
-                alphaTest: 0.05,
-
-                // Keep object colors relatively true
-                roughness: 0.5,
-                metalness: 0.0,
-
-                // Very subtle red glow
-                emissive: new THREE.Color(0x110000),
-                emissiveIntensity: 0.1,
-
-                // Slight color adjustment - barely noticeable tint
-                color: new THREE.Color(1.05, 0.98, 0.98),
-
-                depthWrite: true,
-                depthTest: true
-            });
-
-            // Create mesh
-            jellyObject = new THREE.Mesh(geometry, material);
-            jellyObject.userData.originalVertices = originalVertices;
-            jellyObject.position.set(
-                objectOriginalPos.x,
-                objectOriginalPos.y,
-                objectOriginalPos.z
-            );
-            jellyObject.castShadow = true;
-            jellyObject.receiveShadow = false;
-            jellyObject.renderOrder = 1;
-
-            // Add subtle outline (less prominent since object already has glow)
-            const outlineGeometry = geometry.clone();
-            outlineGeometry.scale(1.06, 1.06, 1.06);
-
-            const outlineMaterial = new THREE.MeshBasicMaterial({
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.15,  // Reduced opacity
-                side: THREE.BackSide,
-                depthTest: true,
-                blending: THREE.AdditiveBlending
-            });
-
-            const outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
-
-            // Store original vertices for outline deformation
-            const outlineOriginalVertices = [];
-            const outlinePositions = outlineGeometry.attributes.position;
-            for (let i = 0; i < outlinePositions.count; i++) {
-                outlineOriginalVertices.push({
-                    x: outlinePositions.getX(i),
-                    y: outlinePositions.getY(i),
-                    z: outlinePositions.getZ(i)
-                });
+            // Other uploads may have filled the jello while this one was processing
+            if (reportIfJelloFull(statusDiv)) {
+                texture.dispose();
+                return;
             }
-            outline.userData.originalVertices = outlineOriginalVertices;
-
-            jellyObject.add(outline);
 
-            // Add to jello mesh
-            jelloMesh.add(jellyObject);
+            addEmbeddedObject(texture, file.name, result);
 
             console.log('Object successfully added to jello');
 
@@ -559,181 +1740,420 @@ window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    transmission.setSize();
 });
 
-// Update status message
-const physicsStatus = document.getElementById('physics-status');
-if (physicsStatus) {
-    physicsStatus.textContent = 'Ready! Click to jiggle.';
+// Firmness picker - switches mid-wobble, the physics blends into the new profile
+const firmnessSelect = document.getElementById('firmness');
+
+Object.entries(FIRMNESS_PRESETS).forEach(([name, preset]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = preset.label;
+    firmnessSelect.appendChild(option);
+});
+firmnessSelect.value = firmnessName;
+
+firmnessSelect.addEventListener('change', () => {
+    firmnessName = firmnessSelect.value;
+    pieces.forEach(piece => piece.physics.setFirmness(FIRMNESS_PRESETS[firmnessName]));
+    blobs.forEach(blob => blob.wobble.setFirmness(FIRMNESS_PRESETS[firmnessName]));
+    saveFirmness(firmnessName);
+    console.log('🍮 Firmness:', FIRMNESS_PRESETS[firmnessName].label);
+});
+
+// Mold picker - turns the jello out of the new mold, whole again
+const moldSelect = document.getElementById('mold');
+
+Object.entries(MOLDS).forEach(([name, mold]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = mold.label;
+    moldSelect.appendChild(option);
+});
+
+// The uploaded mold, once there is one
+const customMoldOption = document.createElement('option');
+customMoldOption.value = CUSTOM_MOLD;
+if (customMold) {
+    customMoldOption.textContent = customMold.label;
+    moldSelect.appendChild(customMoldOption);
+}
+moldSelect.value = moldName;
+
+function selectMold(name) {
+    moldName = name;
+    moldSelect.value = name;
+    knifePlane.constant = -knifeHeight();
+    restoreWholeJello();
+    saveMold(moldName);
+    console.log('🍮 Mold:', currentMold().label);
 }
 
-// Animation loop
-const clock = new THREE.Clock();
+moldSelect.addEventListener('change', () => selectMold(moldSelect.value));
 
-function animate() {
-    requestAnimationFrame(animate);
+// Flavour picker - pours the whole jello in one flavour. Shows "Layered"
+// when the layers aren't a single flavour
+const flavourSelect = document.getElementById('flavour');
+const LAYERED = '';
 
-    const deltaTime = Math.min(clock.getDelta(), 0.016); // Cap at 60fps
+Object.entries(FLAVOURS).forEach(([name, flavour]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = flavour.label;
+    flavourSelect.appendChild(option);
+});
+const layeredOption = document.createElement('option');
+layeredOption.value = LAYERED;
+layeredOption.textContent = 'Layered';
+layeredOption.disabled = true;
+flavourSelect.appendChild(layeredOption);
+flavourSelect.value = flavourOf(jelloLayers) || LAYERED;
+
+flavourSelect.addEventListener('change', () => {
+    const { color, opacity, label } = FLAVOURS[flavourSelect.value];
+    jelloLayers = [{ color, opacity, thickness: 1 }];
+    layersChanged();
+    renderLayerList();
+    console.log('🍒 Flavour:', label);
+});
 
-    // Update all spring systems
-    updateSpring(wobbleState.tiltX, deltaTime);
-    updateSpring(wobbleState.tiltZ, deltaTime);
-    updateSpring(wobbleState.squash, deltaTime);
-    updateSpring(wobbleState.twist, deltaTime);
+// Layer editor - top layer first, like the jello itself. Changes show
+// straight away: every piece shares the layer uniforms
+const layerList = document.getElementById('layer-list');
+const layerAdd = document.getElementById('layer-add');
+
+// The flavours as suggestions in every layer's colour picker
+const flavourColors = document.createElement('datalist');
+flavourColors.id = 'flavour-colors';
+Object.values(FLAVOURS).forEach(({ color }) => {
+    const option = document.createElement('option');
+    option.value = color;
+    flavourColors.appendChild(option);
+});
+document.body.appendChild(flavourColors);
 
-    // Update shader uniforms instead of mesh transforms
-    jelloMaterial.uniforms.wobbleTilt.value.set(
-        wobbleState.tiltX.position,
-        wobbleState.tiltZ.position
-    );
-    jelloMaterial.uniforms.wobbleSquash.value = wobbleState.squash.position;
-
-    // Update bubble positions to match jello deformation
-    for (let i = 0; i < bubblePositions.length; i++) {
-        const bubble = bubblePositions[i];
-
-        // Calculate height factor for this bubble (same as jello shader)
-        const heightFactor = (bubble.y + 1.0) / 2.0;
-        const heightFactorSquared = heightFactor * heightFactor;
-
-        // Apply same wobble deformation
-        const wobbledX = bubble.x + wobbleState.tiltX.position * heightFactorSquared * 0.5;
-        const wobbledZ = bubble.z + wobbleState.tiltZ.position * heightFactorSquared * 0.5;
-        const squashScale = 1.0 + wobbleState.squash.position * heightFactorSquared * 0.15;
-
-        // Update instance matrix
-        const matrix = new THREE.Matrix4();
-        matrix.makeTranslation(
-            wobbledX * squashScale,
-            bubble.y,
-            wobbledZ * squashScale
-        );
-        matrix.scale(new THREE.Vector3(bubble.scale, bubble.scale, bubble.scale));
-        bubbles.setMatrixAt(i, matrix);
-    }
-
-    bubbles.instanceMatrix.needsUpdate = true;
-
-    // Debug: Verify only one object exists
-    if (jellyObject) {
-        const planeCount = jelloMesh.children.filter(
-            c => c.geometry && c.geometry.type === 'PlaneGeometry'
-        ).length;
-
-        if (planeCount > 1) {
-            console.warn('WARNING: Multiple objects detected:', planeCount);
-        }
+const LAYER_SLIDERS = [
+    { key: 'opacity', label: 'Opacity', min: 0, max: 1, step: 0.05 },
+    { key: 'thickness', label: 'Thickness', min: 0.25, max: 3, step: 0.05 }
+];
+
+function layersChanged() {
+    setLayerUniforms(layerUniforms, jelloLayers);
+    saveLayers(jelloLayers);
+    tintChanged();
+}
+
+// Everything tinted by the jello follows its colour
+function tintChanged() {
+    jelloTint = flavourTint(stackColor(jelloLayers));
+    innerLightColor(innerLight.color);
+    embeddedObjects.forEach(entry => tintObjectMaterial(entry.mesh.material));
+    flavourSelect.value = flavourOf(jelloLayers) || LAYERED;
+}
+
+function renderLayerList() {
+    layerList.replaceChildren();
+
+    jelloLayers.slice().reverse().forEach(layer => {
+        const item = document.createElement('div');
+        item.className = 'layer-item';
+
+        const header = document.createElement('div');
+        header.className = 'layer-item-header';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = layer.color;
+        color.setAttribute('list', flavourColors.id);
+        color.title = 'Colour';
+        color.addEventListener('input', () => {
+            layer.color = color.value;
+            layersChanged();
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'object-remove';
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove layer';
+        removeButton.disabled = jelloLayers.length === 1;
+        removeButton.addEventListener('click', () => {
+            jelloLayers.splice(jelloLayers.indexOf(layer), 1);
+            layersChanged();
+            renderLayerList();
+        });
+
+        header.append(color, removeButton);
+        item.appendChild(header);
+
+        LAYER_SLIDERS.forEach(({ key, label, min, max, step }) => {
+            const row = document.createElement('label');
+            row.className = 'object-slider';
+            row.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = layer[key];
+            input.addEventListener('input', () => {
+                layer[key] = parseFloat(input.value);
+                layersChanged();
+            });
+
+            row.appendChild(input);
+            item.appendChild(row);
+        });
+
+        layerList.appendChild(item);
+    });
+
+    layerAdd.disabled = jelloLayers.length >= MAX_LAYERS;
+}
+
+layerAdd.addEventListener('click', () => {
+    if (jelloLayers.length >= MAX_LAYERS) return;
+
+    // The next flavour along the palette
+    const flavours = Object.values(FLAVOURS);
+    const { color, opacity } = flavours[jelloLayers.length % flavours.length];
+    jelloLayers.push({ color, opacity, thickness: 1 });
+    layersChanged();
+    renderLayerList();
+    console.log('🌈 Layers:', jelloLayers.length);
+});
+
+renderLayerList();
+
+// Custom mold - an SVG side view spun round, or top view stood up
+const customMoldUpload = document.getElementById('custom-mold-upload');
+const customMoldMode = document.getElementById('custom-mold-mode');
+const customMoldStatus = document.getElementById('custom-mold-status');
+
+document.getElementById('custom-mold-button').addEventListener('click', () => customMoldUpload.click());
+
+customMoldUpload.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';  // Allow the same file again, e.g. the other way round
+
+    try {
+        const name = file.name.replace(/\.svg$/i, '');
+        customMold = moldFromSvg(await file.text(), customMoldMode.value, `Custom: ${name}`);
+    } catch (error) {
+        customMoldStatus.textContent = `✗ ${error.message}`;
+        customMoldStatus.style.color = '#cc0000';
+        console.warn('⚠️ Custom mold rejected:', error.message);
+        return;
     }
 
-    // Update object position to match jello deformation
-    if (jellyObject) {
-        // Calculate height factor for object's Y position
-        // Must match shader calculation: (pos.y + 1.0) / 2.0
-        const heightFactor = (objectOriginalPos.y + 1.0) / 2.0;
-        const heightFactorSquared = heightFactor * heightFactor;
-
-        // Apply same wobble transformation as vertices
-        const wobbledX = objectOriginalPos.x + wobbleState.tiltX.position * heightFactorSquared * 0.5;
-        const wobbledZ = objectOriginalPos.z + wobbleState.tiltZ.position * heightFactorSquared * 0.5;
-        const squashScale = 1.0 + wobbleState.squash.position * heightFactorSquared * 0.15;
-
-        // Update object position
-        jellyObject.position.set(
-            wobbledX * squashScale,
-            objectOriginalPos.y,
-            wobbledZ * squashScale
-        );
-
-        // Add slight rotation for more realistic wobble
-        jellyObject.rotation.x = wobbleState.tiltZ.position * 0.3;
-        jellyObject.rotation.z = -wobbleState.tiltX.position * 0.3;
-
-        // Check if there's active wobble for performance
-        const isWobbling = Math.abs(wobbleState.tiltX.position) > 0.01 ||
-                           Math.abs(wobbleState.tiltZ.position) > 0.01 ||
-                           Math.abs(wobbleState.squash.position) > 0.01;
-
-        // Apply vertex-level deformation for realistic distortion
-        if (isWobbling && jellyObject.geometry && jellyObject.userData.originalVertices) {
-            const positions = jellyObject.geometry.attributes.position;
-            const originals = jellyObject.userData.originalVertices;
-
-            for (let i = 0; i < positions.count; i++) {
-                const orig = originals[i];
-
-                // Calculate vertex position in world space
-                const worldY = orig.y + objectOriginalPos.y;
-
-                // Height factor matching jello shader
-                const heightFactor = (worldY + 1.0) / 2.0;
-                const heightFactorSquared = heightFactor * heightFactor;
-
-                // Apply wobble deformation
-                let x = orig.x;
-                let y = orig.y;
-                let z = orig.z;
-
-                // Tilt wobble (horizontal displacement)
-                x += wobbleState.tiltX.position * heightFactorSquared * 0.3;
-                z += wobbleState.tiltZ.position * heightFactorSquared * 0.3;
-
-                // Squash wobble (scale)
-                const squashScale = 1.0 + wobbleState.squash.position * heightFactorSquared * 0.12;
-                x *= squashScale;
-                z *= squashScale;
-
-                // Add subtle wave distortion for more organic feel
-                const time = Date.now() * 0.001;
-                const wave = Math.sin(time * 2 + orig.x * 3) * wobbleState.squash.position * 0.02;
-                y += wave;
-
-                positions.setXYZ(i, x, y, z);
-            }
+    saveCustomMold(customMold);
+    customMoldOption.textContent = customMold.label;
+    moldSelect.appendChild(customMoldOption);  // Moves it to the end if it's already there
+    selectMold(CUSTOM_MOLD);
 
-            positions.needsUpdate = true;
-            jellyObject.geometry.computeVertexNormals();  // Recalculate normals for lighting
-        }
+    customMoldStatus.textContent = '✓ Mold made!';
+    customMoldStatus.style.color = '#00aa00';
+    setTimeout(() => {
+        customMoldStatus.textContent = '';
+    }, 4000);
+});
+
+// Setting and melting timeline - starts out set, like it always was
+const setting = new JelloSetting();
+const settingState = document.getElementById('setting-state');
+const settingTimeline = document.getElementById('setting-timeline');
+const settingPlay = document.getElementById('setting-play');
+const settingMelt = document.getElementById('setting-melt');
+const GEL_EPSILON = 0.002;  // Smallest gel change worth sending to the physics
+
+// A fresh pour fills the mould again - cut pieces are whole once more
+document.getElementById('setting-pour').addEventListener('click', () => {
+    setting.pour();
+    restoreWholeJello();
+    console.log('🫗 Poured fresh jello');
+});
+
+settingPlay.addEventListener('click', () => {
+    if (setting.playing) {
+        setting.pause();
+    } else {
+        setting.play();
+    }
+});
 
-        // Apply distortion to outline
-        const outline = jellyObject.children.find(child =>
-            child.material && child.material.side === THREE.BackSide
-        );
+settingTimeline.addEventListener('input', () => {
+    setting.pause();
+    setting.scrub(parseFloat(settingTimeline.value));
+});
 
-        if (isWobbling && outline && outline.geometry && outline.userData.originalVertices) {
-            const outlinePos = outline.geometry.attributes.position;
-            const originals = outline.userData.originalVertices;
+settingMelt.addEventListener('change', () => {
+    setting.setMelt(settingMelt.checked);
+});
 
-            for (let i = 0; i < outlinePos.count; i++) {
-                const orig = originals[i];
-                const worldY = (orig.y / 1.08) + objectOriginalPos.y;  // Adjusted for 1.08 scale
-                const heightFactor = (worldY + 1.0) / 2.0;
-                const heightFactorSquared = heightFactor * heightFactor;
+/**
+ * Push the timeline's gel state to the physics and the shader, and keep
+ * the controls in step with it
+ */
+function updateSetting(delta) {
+    setting.advance(delta);
+    const gel = setting.properties();
+
+    // Small steps are skipped, but the ends (0 and 1) always get through
+    const changed = (from, to) => from !== to && (Math.abs(to - from) > GEL_EPSILON || to === 0 || to === 1);
+
+    if (!sentGel || changed(sentGel.strength, gel.strength) || changed(sentGel.sag, gel.sag)) {
+        pieces.forEach(piece => piece.physics.setGel(gel));
+        blobs.forEach(blob => blob.wobble.setGel(gel));
+        sentGel = gel;
+    }
 
-                let x = orig.x;
-                let y = orig.y;
-                let z = orig.z;
+    // Shader slump matches what the physics was told, so bubbles and objects line up
+    [...pieces, ...blobs].forEach(({ material }) => {
+        material.uniforms.gelDrop.value = sentGel.sag * SAG_DROP;
+        material.uniforms.gelSpread.value = sentGel.sag * SAG_SPREAD;
+        material.uniforms.gelOpacity.value = gel.opacity;
+    });
 
-                x += wobbleState.tiltX.position * heightFactorSquared * 0.3 * 1.08;
-                z += wobbleState.tiltZ.position * heightFactorSquared * 0.3 * 1.08;
+    settingTimeline.max = setting.duration;
+    settingTimeline.value = setting.time;
+    settingState.textContent = gel.state;
+    settingPlay.textContent = setting.playing ? '⏸' : '▶';
+}
 
-                const squashScale = 1.0 + wobbleState.squash.position * heightFactorSquared * 0.12;
-                x *= squashScale;
-                z *= squashScale;
+// Sound - made from the springs as they move (jello-audio.js). Browsers
+// only allow audio after a user gesture, so it starts on the first one
+const audio = new JelloAudio();
+const soundVolume = document.getElementById('sound-volume');
+const soundMute = document.getElementById('sound-mute');
+audio.setVolume(parseFloat(soundVolume.value));
+
+function startAudio() {
+    audio.start();
+    window.removeEventListener('pointerdown', startAudio);
+    window.removeEventListener('keydown', startAudio);
+}
+window.addEventListener('pointerdown', startAudio);
+window.addEventListener('keydown', startAudio);
 
-                outlinePos.setXYZ(i, x, y, z);
-            }
+soundVolume.addEventListener('input', () => {
+    audio.setVolume(parseFloat(soundVolume.value));
+});
+
+soundMute.addEventListener('change', () => {
+    audio.setMuted(soundMute.checked);
+});
 
-            outlinePos.needsUpdate = true;
-            outline.geometry.computeVertexNormals();
+// Springs of everything wobbling, with the stiffness they have right now
+function updateAudio(delta) {
+    const springSets = [...pieces.map(piece => piece.physics.springs), ...blobs.map(blob => blob.wobble.springs)];
+    const { stiffness } = gelFirmness(FIRMNESS_PRESETS[firmnessName], sentGel ? sentGel.strength : 1);
+    audio.update(delta, springSets, stiffness);
+}
+
+// Update status message
+const physicsStatus = document.getElementById('physics-status');
+if (physicsStatus) {
+    physicsStatus.textContent = 'Ready! Click or drag to jiggle.';
+}
+
+/**
+ * Move one embedded object with the jello. Its centre is a physics body
+ * that trails the gel on its own spring; the mesh itself still gets
+ * per-vertex distortion from tilt, squash and twist, computed alongside
+ * the physics (see JelloWobble.deformObjectVertices).
+ */
+function updateEmbeddedObject(entry) {
+    const { mesh, outline } = entry;
+    const body = entry.piece.physics.bodies.get(entry.id);
+    if (!body) return;
+
+    // Secondary motion - lags, overshoots and settles behind the gel
+    mesh.position.copy(body.position);
+
+    // Slight lean with the tilt, and the twist of the gel around it
+    mesh.rotation.set(body.rotation.x, body.rotation.y, body.rotation.z);
+
+    // Only when the physics published new vertices (it skips them when settled)
+    if (!body.deformed) return;
+
+    mesh.geometry.attributes.position.array.set(body.vertices);
+    mesh.geometry.attributes.position.needsUpdate = true;
+    mesh.geometry.computeVertexNormals();  // Recalculate normals for lighting
+
+    outline.geometry.attributes.position.array.set(body.outlineVertices);
+    outline.geometry.attributes.position.needsUpdate = true;
+    outline.geometry.computeVertexNormals();
+}
+
+/**
+ * Pick up a piece's latest physics frame: soft-body offsets and slopes,
+ * bubbles and the wobble modes for its shader
+ */
+function updateJelloPiece(piece, delta) {
+    const { physics, material, softOffset, softSlope, bubbleMesh } = piece;
+
+    // Fixed-step physics: real frame time goes in, the latest published frame comes out
+    // (none while the piece is settled, so the attributes stay as uploaded)
+    if (physics.update(delta)) {
+        softOffset.array.set(physics.softOffsets);
+        softOffset.needsUpdate = true;
+        softSlope.array.set(physics.softSlopes);
+        softSlope.needsUpdate = true;
+
+        // Bubbles follow the jello deformation (same as the shader)
+        if (bubbleMesh) {
+            bubbleMesh.instanceMatrix.array.set(physics.bubbleMatrices);
+            bubbleMesh.instanceMatrix.needsUpdate = true;
         }
     }
 
-    // Keep mesh transform at identity (wobble happens in shader)
-    jelloMesh.position.set(0, 1.15, 0);  // Match updated position
-    jelloMesh.rotation.set(0, 0, 0);
-    jelloMesh.scale.set(1, 1, 1);
+    // Update shader uniforms instead of mesh transforms
+    setWobbleUniforms(material, physics.springs);
+    material.uniforms.rippleTime.value = clock.elapsedTime;
+}
+
+function setWobbleUniforms(material, springs) {
+    material.uniforms.wobbleTilt.value.set(
+        springs.tiltX.position * TILT_REACH,
+        springs.tiltZ.position * TILT_REACH
+    );
+    material.uniforms.wobbleSquash.value = springs.squash.position * SQUASH_REACH;
+    material.uniforms.wobbleTwist.value = springs.twist.position * TWIST_STRENGTH;
+}
+
+// Animation loop
+const clock = new THREE.Clock();
+
+function animate() {
+    requestAnimationFrame(animate);
+
+    const delta = clock.getDelta();
+
+    // Liquid, setting, set or melting - scales the physics and slumps the shape
+    updateSetting(delta);
+
+    // Every piece runs its own physics
+    pieces.forEach(piece => updateJelloPiece(piece, delta));
+
+    updatePokeCharge();
+
+    // The plate carries and shakes the jello, loose pieces slide on it, spoonfuls fly
+    updatePlate(delta);
+    slidePieces(delta);
+    updateBlobs(delta);
+
+    // Update every embedded object to match jello deformation
+    embeddedObjects.forEach(updateEmbeddedObject);
+
+    // Squelch, wobble and plop from the springs
+    updateAudio(delta);
 
     controls.update();
+
+    // Everything behind the jello first, then the jello refracting it
+    transmission.render(scene, camera, [...pieces, ...blobs].map(({ material }) => material));
     renderer.render(scene, camera);
 }
 
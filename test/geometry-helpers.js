@@ -0,0 +1,19 @@
+// Helpers shared by the geometry tests
+
+// Every edge (by position, since caps keep their own normals) is shared by exactly two triangles
+export function openEdges(geometry) {
+    const positions = geometry.attributes.position;
+    const index = geometry.index;
+    const key = i => [positions.getX(i), positions.getY(i), positions.getZ(i)].map(v => Math.round(v * 1e4)).join(',');
+    const edges = new Map();
+
+    for (let t = 0; t < index.count; t += 3) {
+        const corners = [0, 1, 2].map(c => key(index.getX(t + c)));
+        for (let c = 0; c < 3; c++) {
+            const edge = [corners[c], corners[(c + 1) % 3]].sort().join('|');
+            edges.set(edge, (edges.get(edge) || 0) + 1);
+        }
+    }
+
+    return [...edges.values()].filter(count => count !== 2).length;
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { moldFromSilhouette, moldFromOutline } from '../jello-custom-mold.js';
+import { MOLD_BASE_Y, moldSpan, insideMold } from '../jello-molds.js';
+import { createMoldGeometry } from '../jello-mold-geometry.js';
+
+// Side views as drawn in an SVG (y down), in pixels
+const VASE = [[20, 100], [80, 100], [70, 60], [85, 20], [15, 20], [30, 60]];
+const GOBLET = [[45, 100], [55, 100], [55, 60], [90, 20], [10, 20], [45, 60]];
+const FLAT = [[0, 10], [100, 10], [100, 0], [0, 0]];
+
+function heart(points = 48) {
+    const outline = [];
+    for (let i = 0; i < points; i++) {
+        const t = (i / points) * Math.PI * 2;
+        outline.push([16 * Math.sin(t) ** 3, -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t))]);
+    }
+    return outline;
+}
+
+test('a side view spins into a solid mold standing on the plate', () => {
+    const mold = moldFromSilhouette(VASE, 'Vase');
+
+    assert.equal(mold.label, 'Vase');
+    assert.ok(mold.height > 0.5 && mold.height <= 2);
+    assert.ok(insideMold(mold, 0, MOLD_BASE_Y + 0.1, 0));
+
+    // Narrower at the waist than at the base or the rim, and all within reach
+    const base = moldSpan(mold, MOLD_BASE_Y + 0.05, 0).outer;
+    const waist = moldSpan(mold, MOLD_BASE_Y + mold.height / 2, 0).outer;
+    const rim = moldSpan(mold, MOLD_BASE_Y + mold.height - 0.05, 0).outer;
+    assert.ok(waist < base && waist < rim);
+    assert.ok(rim <= 1.7 + 1e-9);
+
+    // Closed, and cut into short steps up the side for the wobble
+    const geometry = createMoldGeometry(mold);
+    geometry.computeBoundingBox();
+    assert.ok(Math.abs(geometry.boundingBox.min.y - MOLD_BASE_Y) < 1e-6);
+    const heights = new Set();
+    for (let i = 0; i < geometry.attributes.position.count; i++) {
+        heights.add(geometry.attributes.position.getY(i).toFixed(4));
+    }
+    assert.ok(heights.size >= 24);
+});
+
+test('side views that could not stand on the plate are turned down', () => {
+    assert.throws(() => moldFromSilhouette(GOBLET), /bottom is too narrow/);
+    assert.throws(() => moldFromSilhouette(FLAT), /too flat/);
+    assert.throws(() => moldFromSilhouette([[0, 0], [1, 1], [2, 2]]), /no inside/);
+});
+
+test('a top view stands up as walls around its outline', () => {
+    const mold = moldFromOutline(heart(), 'Heart');
+
+    assert.ok(Math.max(...mold.outline.map(([x, z]) => Math.hypot(x, z))) <= 1 + 1e-9);
+    assert.ok(insideMold(mold, 0, MOLD_BASE_Y + mold.height / 2, 0));
+
+    // A path that repeats its start point comes out the same
+    const closed = moldFromOutline([...heart(), heart()[0]]);
+    assert.equal(closed.outline.length, mold.outline.length);
+
+    // The heart's point is drawn at the bottom of the SVG - the front of the jello
+    const front = moldSpan(mold, MOLD_BASE_Y + 0.1, 0).outer;
+    const back = moldSpan(mold, MOLD_BASE_Y + 0.1, Math.PI).outer;
+    assert.ok(front > back);
+});
+
+test('a top view that folds back on itself is turned down', () => {
+    const hook = [[0, 0], [100, 0], [100, 100], [0, 100], [0, 80], [80, 80], [80, 20], [0, 20]];
+    assert.throws(() => moldFromOutline(hook), /folds back/);
+});
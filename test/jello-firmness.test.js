@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJelloSim } from '../jello-sim.js';
+import { pokeStrength } from '../jello-physics.js';
+import { FIRMNESS_PRESETS, blendFirmness } from '../jello-firmness.js';
+
+const FRAME = 1 / 60;
+const RIM_POKE = { x: 0.5, y: 1, z: 0.3 };
+
+function run(sim, seconds) {
+    const frames = Math.round(seconds / FRAME);
+    for (let i = 0; i < frames; i++) sim.step(FRAME);
+}
+
+function settleTime(firmness) {
+    const sim = createJelloSim({ firmness });
+    sim.poke(RIM_POKE);
+    while (sim.time < 20) {
+        sim.step(FRAME);
+        if (sim.energy() < 1e-4) return sim.time;
+    }
+    return Infinity;
+}
+
+test('every preset settles, firmer ones sooner', () => {
+    const times = ['barelySet', 'classic', 'firm', 'jelloShot'].map(name => settleTime(FIRMNESS_PRESETS[name]));
+
+    times.forEach(time => assert.ok(Number.isFinite(time), 'a preset never settled'));
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] < times[i - 1], `settle times out of order: ${times.join(', ')}`);
+    }
+});
+
+test('the same poke moves a softer jello further', () => {
+    const peakSquash = (firmness) => {
+        const sim = createJelloSim({ firmness });
+        sim.poke(RIM_POKE);
+        let peak = 0;
+        for (let i = 0; i < 60; i++) {
+            sim.step(FRAME);
+            peak = Math.max(peak, Math.abs(sim.wobble.springs.squash.position));
+        }
+        return peak;
+    };
+
+    assert.ok(peakSquash(FIRMNESS_PRESETS.barelySet) > peakSquash(FIRMNESS_PRESETS.classic));
+    assert.ok(peakSquash(FIRMNESS_PRESETS.classic) > peakSquash(FIRMNESS_PRESETS.jelloShot));
+});
+
+test('wobble never goes past the maximum deformation', () => {
+    const firmness = FIRMNESS_PRESETS.jelloShot;
+    const sim = createJelloSim({ firmness });
+
+    for (let i = 0; i < 5; i++) sim.poke(RIM_POKE, undefined, 4);
+    for (let i = 0; i < 120; i++) {
+        sim.step(FRAME);
+        for (const name in sim.wobble.springs) {
+            assert.ok(Math.abs(sim.wobble.springs[name].position) <= firmness.maxDeformation);
+        }
+    }
+});
+
+test('a fully charged poke stops at each firmness\'s cap, lower for firmer jello', () => {
+    const caps = ['barelySet', 'classic', 'firm', 'jelloShot'].map(name => FIRMNESS_PRESETS[name].pokeCap);
+
+    caps.forEach(cap => {
+        assert.equal(pokeStrength(1, cap), cap);
+        assert.equal(pokeStrength(5, cap), cap);
+        assert.ok(pokeStrength(0, cap) < pokeStrength(0.5, cap));
+        assert.equal(pokeStrength(0, cap), 1);  // A plain click pokes as hard as ever
+    });
+    for (let i = 1; i < caps.length; i++) assert.ok(caps[i] < caps[i - 1]);
+});
+
+test('switching firmness mid-wobble carries the wobble over without a jump', () => {
+    const sim = createJelloSim({ firmness: FIRMNESS_PRESETS.barelySet });
+    sim.poke(RIM_POKE);
+    run(sim, 0.5);
+
+    const before = sim.wobble.springs.tiltX.position;
+    sim.wobble.setFirmness(FIRMNESS_PRESETS.jelloShot);
+    sim.step(FRAME);
+
+    // Picks up from where it was instead of restarting or snapping
+    const after = sim.wobble.springs.tiltX.position;
+    assert.notEqual(after, 0);
+    assert.ok(Math.abs(after - before) < 0.05, `tilt jumped from ${before} to ${after}`);
+
+    run(sim, 1);
+    assert.equal(sim.wobble.firmnessBlend, null);
+    assert.equal(sim.wobble.damping, FIRMNESS_PRESETS.jelloShot.damping);
+    assert.equal(sim.wobble.springs.squash.stiffness, FIRMNESS_PRESETS.jelloShot.stiffness.squash);
+});
+
+test('blending runs from one profile to the other', () => {
+    const { classic, firm } = FIRMNESS_PRESETS;
+
+    assert.equal(blendFirmness(classic, firm, 0).damping, classic.damping);
+    assert.equal(blendFirmness(classic, firm, 1).damping, firm.damping);
+    assert.equal(blendFirmness(classic, firm, 0.5).stiffness.tiltX, (classic.stiffness.tiltX + firm.stiffness.tiltX) / 2);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FLAVOURS, DEFAULT_FLAVOUR, flavourTint, tintScale, flavourOf, stackColor } from '../jello-flavours.js';
+import { DEFAULT_LAYERS } from '../jello-layers.js';
+
+const close = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} vs ${expected}`));
+
+test('cherry keeps the classic red shift, clear shifts nothing', () => {
+    const cherry = flavourTint(FLAVOURS.cherry.color);
+    close(cherry, [1, 0, 0]);
+    close(tintScale(cherry, 0.02), [1.02, 0.99, 0.99]);
+
+    const clear = flavourTint(FLAVOURS.clear.color);
+    close(clear, [0, 0, 0]);
+    close(tintScale(clear, 0.05), [1, 1, 1]);
+});
+
+test('every other flavour leans its own way - no red on a lime jello', () => {
+    const [r, g, b] = tintScale(flavourTint(FLAVOURS.lime.color), 0.05);
+    assert.ok(g > 1 && r < 1 && b < 1);
+
+    const [, , blue] = tintScale(flavourTint(FLAVOURS.blueberry.color), 0.05);
+    assert.ok(blue > 1);
+
+    const [red, green] = tintScale(flavourTint(FLAVOURS.orange.color), 0.05);
+    assert.ok(red > 1 && red > green);
+});
+
+test('a layer stack is a flavour only when it is one layer as poured', () => {
+    assert.equal(flavourOf(DEFAULT_LAYERS), DEFAULT_FLAVOUR);
+    assert.equal(flavourOf([{ ...FLAVOURS.lime, thickness: 1 }]), 'lime');
+    assert.equal(flavourOf([{ ...FLAVOURS.lime, opacity: 0.9, thickness: 1 }]), null);
+    assert.equal(flavourOf([{ ...FLAVOURS.lime, thickness: 1 }, { ...FLAVOURS.cherry, thickness: 1 }]), null);
+});
+
+test('a stack\'s colour mixes its layers by thickness', () => {
+    const layers = [
+        { color: '#ff0000', opacity: 0.25, thickness: 3 },
+        { color: '#0000ff', opacity: 0.25, thickness: 1 }
+    ];
+    assert.equal(stackColor(layers), '#bf0040');
+    close(flavourTint(stackColor(layers)), [1, 0, 64 / 191]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_LAYERS, MAX_LAYERS, LAYER_SOFTNESS, sanitizeLayers, layerTops, layerWeights, layerAt } from '../jello-layers.js';
+
+// Panna cotta base, twice as thick as the fruit top
+const PANNA_COTTA = [
+    { color: '#fff8e7', opacity: 0.9, thickness: 2 },
+    { color: '#cc0033', opacity: 0.25, thickness: 1 }
+];
+
+test('layers split the height by thickness, from the plate up', () => {
+    const tops = layerTops(PANNA_COTTA);
+    assert.ok(Math.abs(tops[0] - 2 / 3) < 1e-9);
+    assert.equal(tops[1], 1);
+
+    assert.equal(layerAt(PANNA_COTTA, 0.2), PANNA_COTTA[0]);
+    assert.equal(layerAt(PANNA_COTTA, 0.9), PANNA_COTTA[1]);
+});
+
+test('boundaries blend softly, and only near the boundary', () => {
+    const boundary = 2 / 3;
+
+    for (let height = 0; height <= 1; height += 0.05) {
+        const weights = layerWeights(PANNA_COTTA, height);
+        assert.ok(Math.abs(weights[0] + weights[1] - 1) < 1e-9);
+    }
+
+    assert.deepEqual(layerWeights(PANNA_COTTA, boundary - LAYER_SOFTNESS * 1.5), [1, 0]);
+    assert.deepEqual(layerWeights(PANNA_COTTA, boundary + LAYER_SOFTNESS * 1.5), [0, 1]);
+
+    const middle = layerWeights(PANNA_COTTA, boundary);
+    assert.ok(Math.abs(middle[0] - 0.5) < 1e-9);
+
+    // Rising smoothly through the boundary
+    let last = 0;
+    for (let step = -4; step <= 4; step++) {
+        const above = layerWeights(PANNA_COTTA, boundary + (step / 4) * LAYER_SOFTNESS)[1];
+        assert.ok(above >= last);
+        last = above;
+    }
+});
+
+test('saved layers are cleaned up before use', () => {
+    assert.deepEqual(sanitizeLayers(null), DEFAULT_LAYERS);
+    assert.notEqual(sanitizeLayers([])[0], DEFAULT_LAYERS[0]);  // A copy, safe to edit
+
+    const tooMany = Array.from({ length: MAX_LAYERS + 2 }, () => ({ ...PANNA_COTTA[1] }));
+    assert.equal(sanitizeLayers(tooMany).length, MAX_LAYERS);
+
+    const [layer] = sanitizeLayers([{ color: 'red', opacity: 3, thickness: -1 }]);
+    assert.deepEqual(layer, { color: DEFAULT_LAYERS[0].color, opacity: 1, thickness: 1 });
+});
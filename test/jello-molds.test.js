@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MOLDS, MOLD_BASE_Y, isHollow, insideMold, moldSpan } from '../jello-molds.js';
+import { createMoldGeometry } from '../jello-mold-geometry.js';
+import { constrainToJello } from '../jello-objects.js';
+import { splitGeometry } from '../jello-slice.js';
+import { createJelloSim } from '../jello-sim.js';
+import { openEdges } from './geometry-helpers.js';
+
+test('every mold is a closed mesh standing on the plate, as tall as the mold', () => {
+    for (const [name, mold] of Object.entries(MOLDS)) {
+        const geometry = createMoldGeometry(mold);
+        geometry.computeBoundingBox();
+
+        assert.equal(openEdges(geometry), 0, name);
+        assert.ok(Math.abs(geometry.boundingBox.min.y - MOLD_BASE_Y) < 1e-6, name);
+        assert.ok(Math.abs(geometry.boundingBox.max.y - (MOLD_BASE_Y + mold.height)) < 1e-6, name);
+    }
+});
+
+test('the bundt and ring have a hole through the middle, the rest are solid', () => {
+    for (const [name, mold] of Object.entries(MOLDS)) {
+        const hollow = name === 'bundt' || name === 'ring';
+        assert.equal(isHollow(mold), hollow, name);
+        assert.equal(insideMold(mold, 0, MOLD_BASE_Y + mold.height / 2, 0), !hollow, name);
+    }
+
+    // The star reaches further out at its points than between them
+    const point = moldSpan(MOLDS.star, -0.5, 0).outer;
+    const notch = moldSpan(MOLDS.star, -0.5, Math.PI / 5).outer;
+    assert.ok(point > notch * 1.5);
+});
+
+test('objects are kept out of the hole of a hollow mold', () => {
+    const shape = { mold: MOLDS.bundt };
+    const radius = 0.2;
+
+    for (const start of [{ x: 0, y: -0.5, z: 0 }, { x: 0.1, y: -0.5, z: -0.05 }]) {
+        const position = constrainToJello({ ...start }, radius, shape);
+        const { inner, outer } = moldSpan(MOLDS.bundt, position.y, Math.atan2(position.x, position.z));
+        const distance = Math.hypot(position.x, position.z);
+
+        assert.ok(distance >= inner + radius - 1e-6);
+        assert.ok(distance <= outer - radius + 1e-6);
+    }
+});
+
+test('a bundt cuts into closed pieces', () => {
+    const result = splitGeometry(createMoldGeometry(MOLDS.bundt), { x: 1, z: 0, offset: 0.2 });
+
+    assert.ok(result);
+    assert.equal(openEdges(result.front), 0);
+    assert.equal(openEdges(result.back), 0);
+});
+
+test('a hollow mold\'s lattice rests still and settles after a poke', () => {
+    const sim = createJelloSim({ softBody: { mold: MOLDS.ring } });
+    const top = MOLD_BASE_Y + MOLDS.ring.height;
+
+    sim.step(0.5);
+    assert.ok(Math.abs(sim.sample(1.1, top, 0).x - 1.1) < 1e-6);
+
+    sim.poke({ x: 1.45, y: 0, z: 0 });
+    for (let i = 0; i < 60 * 8; i++) sim.step(1 / 60);
+
+    const after = sim.sample(1.1, top, 0);
+    assert.ok(Math.abs(after.x - 1.1) < 0.01);
+    assert.ok(Math.abs(after.y - top) < 0.01);
+});
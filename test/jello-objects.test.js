@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { constrainToJello, separateObjects, findFreeSpot } from '../jello-objects.js';
+import { MOLDS, MOLD_BASE_Y, insideMold } from '../jello-molds.js';
+
+const CLASSIC = { mold: MOLDS.classic };
+const RADIUS = 0.3;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// The whole sphere is in: its centre and the points RADIUS out along each axis
+function sphereInside(mold, position, radius) {
+    const tolerance = 1e-6;
+    return [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].every(([x, y, z]) =>
+        insideMold(mold, position.x + x * (radius - tolerance), position.y + y * (radius - tolerance), position.z + z * (radius - tolerance)));
+}
+
+test('an object outside the jello is pulled back inside', () => {
+    const above = constrainToJello({ x: 3, y: 5, z: -2 }, RADIUS, CLASSIC);
+    assert.ok(sphereInside(MOLDS.classic, above, RADIUS));
+
+    const below = constrainToJello({ x: 0, y: -4, z: 0 }, RADIUS, CLASSIC);
+    assert.equal(below.y, MOLD_BASE_Y + RADIUS);
+
+    // Already inside: left alone
+    const inside = constrainToJello({ x: 0.2, y: 0, z: -0.1 }, RADIUS, CLASSIC);
+    assert.deepEqual(inside, { x: 0.2, y: 0, z: -0.1 });
+});
+
+test('an object in the hole of a ring mold is moved into the gel', () => {
+    const ring = { mold: MOLDS.ring };
+    const middle = MOLD_BASE_Y + MOLDS.ring.height / 2;
+
+    const centred = constrainToJello({ x: 0, y: middle, z: 0 }, 0.1, ring);
+    assert.ok(sphereInside(MOLDS.ring, centred, 0.1));
+
+    const offCentre = constrainToJello({ x: 0.05, y: middle, z: 0.02 }, 0.1, ring);
+    assert.ok(sphereInside(MOLDS.ring, offCentre, 0.1));
+    assert.ok(offCentre.x > 0 && offCentre.z > 0);  // Straight out, the way it was
+});
+
+test('a piece keeps its objects clear of the cut face', () => {
+    const piece = { mold: MOLDS.classic, planes: [{ x: 1, z: 0, offset: 0.2 }] };
+    const position = constrainToJello({ x: 0, y: 0, z: 0 }, RADIUS, piece);
+    assert.ok(position.x >= 0.2 + RADIUS - 1e-9);
+});
+
+test('overlapping objects are pushed apart and stay inside', () => {
+    const items = [
+        { position: { x: 0, y: 0, z: 0 }, radius: RADIUS },
+        { position: { x: 0.1, y: 0, z: 0 }, radius: RADIUS },
+        { position: { x: 0, y: 0, z: 0 }, radius: RADIUS }
+    ];
+    separateObjects(items, CLASSIC, 32);
+
+    for (let i = 0; i < items.length; i++) {
+        assert.ok(sphereInside(MOLDS.classic, items[i].position, RADIUS));
+        for (let j = i + 1; j < items.length; j++) {
+            assert.ok(distance(items[i].position, items[j].position) >= RADIUS * 2 - 1e-3, `${i} and ${j} still overlap`);
+        }
+    }
+});
+
+test('a pinned object stays put while the other makes way', () => {
+    const pinned = { position: { x: 0, y: 0, z: 0 }, radius: RADIUS, pinned: true };
+    const other = { position: { x: 0.2, y: 0, z: 0 }, radius: RADIUS };
+    separateObjects([pinned, other], CLASSIC);
+
+    assert.deepEqual(pinned.position, { x: 0, y: 0, z: 0 });
+    assert.ok(distance(pinned.position, other.position) >= RADIUS * 2 - 1e-9);
+});
+
+test('a new object goes to the spot furthest from the others', () => {
+    const items = [{ position: { x: 0.5, y: 0, z: 0 }, radius: RADIUS }];
+    const candidates = [{ x: 0.5, y: 0.2, z: 0 }, { x: -0.6, y: 0, z: 0 }, { x: 0, y: 0, z: 0.1 }];
+
+    assert.deepEqual(findFreeSpot(items, RADIUS, CLASSIC, candidates), { x: -0.6, y: 0, z: 0 });
+    assert.deepEqual(findFreeSpot([], RADIUS, CLASSIC, candidates), candidates[0]);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FrameChannel, JelloPhysicsRunner } from '../jello-physics-host.js';
+import { pokeImpulse } from '../jello-physics.js';
+
+// A copy target that lets the writer publish `races` more frames while it is being copied into
+function racingCopy(channel, length, races) {
+    const copy = new Float32Array(length);
+    return {
+        copy,
+        set(data) {
+            copy.set(data);
+            if (races-- > 0) channel.write(frame => frame.fill(frame[0] + 1));
+        }
+    };
+}
+
+test('a written frame reads back whole, once', () => {
+    const channel = FrameChannel.create(4, false);
+    const out = new Float32Array(4);
+    assert.equal(channel.read(out, 0), -1);  // Nothing published yet
+
+    channel.write(data => data.set([1, 2, 3, 4]));
+    const sequence = channel.read(out, 0);
+    assert.ok(sequence > 0 && sequence % 2 === 0);
+    assert.deepEqual([...out], [1, 2, 3, 4]);
+
+    assert.equal(channel.read(out, sequence), -1);  // Nothing new since
+});
+
+test('a read in the middle of a write is dropped', () => {
+    const channel = FrameChannel.create(2, false);
+    const out = new Float32Array([7, 7]);
+
+    channel.write(data => {
+        data[0] = 1;
+        assert.equal(channel.read(out, 0), -1);
+        data[1] = 2;
+    });
+    assert.deepEqual([...out], [7, 7]);
+});
+
+test('a copy the writer raced is retried, and given up on if it keeps racing', () => {
+    const channel = FrameChannel.create(3, false);
+    channel.write(data => data.fill(1));
+
+    // Raced once: the retry gets the newer frame
+    const once = racingCopy(channel, 3, 1);
+    assert.ok(channel.read(once, 0) > 0);
+    assert.deepEqual([...once.copy], [2, 2, 2]);
+
+    // Raced every time: no frame rather than a torn one
+    const always = racingCopy(channel, 3, Infinity);
+    assert.equal(channel.read(always, 0), -1);
+});
+
+test('the same channel works over shared memory', () => {
+    const channel = FrameChannel.create(2, true);
+    assert.ok(channel.buffer instanceof SharedArrayBuffer);
+
+    const reader = new FrameChannel(channel.buffer);
+    channel.write(data => data.set([5, 6]));
+    const out = new Float32Array(2);
+    assert.ok(reader.read(out, 0) > 0);
+    assert.deepEqual([...out], [5, 6]);
+});
+
+test('a settled runner stops publishing until the next input', () => {
+    const setup = { config: { softBody: {} }, jelloVertices: new Float32Array([0, 0, 0, 1, 1, 0]), bubbles: [] };
+    const channel = FrameChannel.create(10 + 2 * (3 + 9), false);
+    const runner = new JelloPhysicsRunner(setup, channel.buffer);
+    const sequence = () => Atomics.load(channel.header, 0);
+    const poke = () => runner.input('applyImpulse', pokeImpulse({ x: 1.4, y: 0.5, z: 0 }, { x: -1, y: 0, z: 0 }));
+
+    // Already at rest: the frame from the constructor stands
+    const initial = sequence();
+    assert.equal(runner.advance(0.1), 0);
+    assert.equal(sequence(), initial);
+
+    poke();
+    let frames = 0;
+    while (runner.advance(1 / 60) > 0) frames++;
+    assert.ok(frames > 60, `settled after only ${frames} frames`);
+    assert.ok(runner.idle);
+
+    const settled = sequence();
+    runner.advance(1 / 60);
+    assert.equal(sequence(), settled);
+
+    // An input wakes it without replaying the time spent idle
+    poke();
+    assert.equal(runner.advance(5), 1);
+    assert.ok(sequence() > settled);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JelloWobble } from '../jello-physics.js';
+
+const FRAME = 1 / 60;
+const POKE = { tiltX: 0.4, tiltZ: -0.2, squash: -1, twist: 0.3 };
+
+function run(wobble, seconds) {
+    const frames = Math.round(seconds / FRAME);
+    for (let i = 0; i < frames; i++) wobble.advance(FRAME);
+}
+
+test('a recorded run replays step for step, and nothing is kept unless asked', () => {
+    const plain = new JelloWobble();
+    plain.applyImpulse(POKE);
+    assert.equal(plain.history, null);
+
+    const recorded = new JelloWobble({ record: true });
+    recorded.applyImpulse(POKE);
+    run(recorded, 0.5);
+    recorded.applyImpulse({ tiltX: -0.3, tiltZ: 0, squash: 0.5, twist: 0 });
+    run(recorded, 0.5);
+    assert.equal(recorded.history.length, 2);
+
+    const replayed = JelloWobble.replay(recorded.history, recorded.time);
+    for (const mode of ['tiltX', 'tiltZ', 'squash', 'twist']) {
+        assert.equal(replayed.springs[mode].position, recorded.springs[mode].position, mode);
+    }
+});
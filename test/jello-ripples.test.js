@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JelloRipples, MAX_RIPPLES, RIPPLE_SPEED, rippleOffset, rippleSlope } from '../jello-ripples.js';
+
+const TOP = { x: 0, y: 1, z: 0 };
+
+// Largest displacement at a point over a stretch of time
+function peak(ripples, point, from, to) {
+    let max = 0;
+    for (let time = from; time <= to; time += 0.005) {
+        max = Math.max(max, Math.abs(rippleOffset(ripples, time, point.x, point.y, point.z)));
+    }
+    return max;
+}
+
+test('a ripple reaches a point only once its front has travelled there, and fades', () => {
+    const ripples = new JelloRipples();
+    ripples.add(TOP, 1, 10);
+
+    const point = { x: 0.8, y: 1, z: 0 };
+    const arrival = 10 + 0.8 / RIPPLE_SPEED;
+    assert.equal(peak(ripples, point, 10, arrival - 0.01), 0);
+
+    const early = peak(ripples, point, arrival, arrival + 0.5);
+    const late = peak(ripples, point, arrival + 1.5, arrival + 2);
+    assert.ok(early > 0.005, `ripple too weak (${early})`);
+    assert.ok(late < early * 0.2, `ripple did not fade (${early} then ${late})`);
+});
+
+test('ripples from two pokes add up, so they can cancel out', () => {
+    const first = new JelloRipples();
+    first.add({ x: -0.5, y: 1, z: 0 }, 1, 0);
+    const second = new JelloRipples();
+    second.add({ x: 0.5, y: 1, z: 0 }, 1, 0.1);
+
+    const both = new JelloRipples();
+    both.add({ x: -0.5, y: 1, z: 0 }, 1, 0);
+    both.add({ x: 0.5, y: 1, z: 0 }, 1, 0.1);
+
+    let cancelled = false;
+    for (let x = -0.4; x <= 0.4; x += 0.02) {
+        const time = 0.7;
+        const a = rippleOffset(first, time, x, 1, 0);
+        const b = rippleOffset(second, time, x, 1, 0);
+        const sum = rippleOffset(both, time, x, 1, 0);
+        assert.ok(Math.abs(sum - (a + b)) < 1e-12);
+        if (Math.abs(a) > 0.005 && Math.abs(sum) < Math.abs(a) * 0.5) cancelled = true;
+    }
+    assert.ok(cancelled, 'the two rings never interfered');
+});
+
+test('the newest impact replaces the oldest, and the base stays put', () => {
+    const ripples = new JelloRipples();
+    for (let i = 0; i <= MAX_RIPPLES; i++) ripples.add({ x: i, y: 0, z: 0 }, 1, i);
+
+    assert.equal(ripples.impacts[0], MAX_RIPPLES);
+    assert.equal(ripples.times[0], MAX_RIPPLES);
+    assert.equal(ripples.impacts[4], 1);
+
+    assert.equal(Math.abs(rippleOffset(ripples, MAX_RIPPLES + 0.5, 0.3, -1, 0.2)), 0);
+});
+
+test('the slope that turns the normals matches the wave', () => {
+    const ripples = new JelloRipples();
+    ripples.add(TOP, 1.5, 0);
+    ripples.add({ x: 0.6, y: 0.2, z: 0.9 }, 1, 0.2);
+
+    const h = 1e-6;
+    for (const point of [{ x: 0.3, y: 0.9, z: 0.1 }, { x: -0.2, y: 0.5, z: 0.7 }, { x: 0.5, y: 0, z: 0.8 }]) {
+        const slope = rippleSlope(ripples, 0.5, point.x, point.y, point.z);
+        for (const axis of ['x', 'y', 'z']) {
+            const ahead = { ...point, [axis]: point[axis] + h };
+            const behind = { ...point, [axis]: point[axis] - h };
+            const numeric = (rippleOffset(ripples, 0.5, ahead.x, ahead.y, ahead.z) -
+                             rippleOffset(ripples, 0.5, behind.x, behind.y, behind.z)) / (2 * h);
+            assert.ok(Math.abs(numeric - slope[axis]) < 1e-5, `${axis}: ${numeric} vs ${slope[axis]}`);
+        }
+    }
+});
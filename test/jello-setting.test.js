@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJelloSim } from '../jello-sim.js';
+import { JelloSetting, SETTING_PHASES, sagPoint } from '../jello-setting.js';
+
+const FRAME = 1 / 60;
+
+test('the timeline runs liquid, setting, set, melting, melted', () => {
+    const setting = new JelloSetting({ melt: true });
+    setting.pour();
+
+    const seen = [];
+    while (setting.playing) {
+        setting.advance(FRAME);
+        if (seen[seen.length - 1] !== setting.state) seen.push(setting.state);
+    }
+
+    assert.deepEqual(seen, SETTING_PHASES.map(phase => phase.state));
+    assert.equal(setting.properties().sag, 1);
+});
+
+test('without room temperature it stops once set', () => {
+    const setting = new JelloSetting();
+    assert.equal(setting.state, 'set');
+
+    setting.pour();
+    for (let t = 0; t < 60; t += FRAME) setting.advance(FRAME);
+
+    assert.equal(setting.playing, false);
+    assert.equal(setting.state, 'set');
+    assert.deepEqual(setting.properties(), { state: 'set', strength: 1, sag: 0, opacity: 1 });
+});
+
+test('strength rises while setting and falls while melting', () => {
+    const setting = new JelloSetting({ melt: true, time: 0 });
+    let previous = setting.properties();
+
+    for (let time = 0; time <= setting.duration; time += 0.25) {
+        setting.scrub(time);
+        const gel = setting.properties();
+
+        if (gel.state === 'setting') assert.ok(gel.strength >= previous.strength);
+        if (gel.state === 'melting') {
+            assert.ok(gel.strength <= previous.strength);
+            assert.ok(gel.sag >= previous.sag);
+        }
+        if (gel.state !== 'melting' && gel.state !== 'melted') assert.equal(gel.sag, 0);
+        previous = gel;
+    }
+});
+
+test('liquid sloshes longer than set jello', () => {
+    const energyAfter = (strength) => {
+        const sim = createJelloSim({ gel: { strength, sag: 0 } });
+        sim.poke({ x: 0.5, y: 1, z: 0.3 });
+        for (let i = 0; i < 180; i++) sim.step(FRAME);
+        return sim.energy();
+    };
+
+    assert.ok(energyAfter(0) > energyAfter(1));
+});
+
+test('a melted jello slumps but keeps its base on the plate', () => {
+    const sim = createJelloSim();
+    sim.wobble.setGel({ strength: 0, sag: 1 });
+    sim.step(FRAME);
+
+    const top = sim.sample(0, 1, 0);
+    const base = sim.sample(1, -1, 0);
+    assert.ok(top.y < 0.5, `top at ${top.y}`);
+    assert.ok(Math.abs(base.y + 1) < 1e-6);
+    assert.ok(base.x > 1.2, `base spread to ${base.x}`);
+
+    // Same slump as the shader gets
+    assert.deepEqual(sagPoint(0, 1, 0, 1), { x: 0, y: top.y, z: 0 });
+});
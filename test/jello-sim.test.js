@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJelloSim } from '../jello-sim.js';
+
+const FRAME = 1 / 60;
+const RIM_POKE = { x: 0.5, y: 1, z: 0.3 };
+const DOWN = { x: 0, y: -1, z: 0 };
+
+function run(sim, seconds, dt = FRAME) {
+    const frames = Math.round(seconds / dt);
+    for (let i = 0; i < frames; i++) sim.step(dt);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+test('a resting jello has no energy and does not move', () => {
+    const sim = createJelloSim();
+    run(sim, 1);
+
+    // Only rounding error in the lattice's rest lengths
+    assert.ok(sim.energy() < 1e-8);
+
+    const point = sim.sample(0.4, 0.8, -0.2);
+    assertClose(point.x, 0.4, 1e-6, 'x');
+    assertClose(point.y, 0.8, 1e-6, 'y');
+    assertClose(point.z, -0.2, 1e-6, 'z');
+});
+
+test('energy decays after a poke', () => {
+    const sim = createJelloSim();
+    sim.poke(RIM_POKE);
+    run(sim, 0.1);
+
+    const peak = sim.energy();
+    assert.ok(peak > 1, `poke should put energy in (${peak})`);
+
+    // Sampled every half second the total only ever goes down
+    let previous = peak;
+    for (let t = 0; t < 6; t += 0.5) {
+        run(sim, 0.5);
+        const energy = sim.energy();
+        assert.ok(energy < previous, `energy rose at ${sim.time.toFixed(2)}s: ${energy} > ${previous}`);
+        previous = energy;
+    }
+
+    assert.ok(previous < peak * 1e-3, `still ${previous} of ${peak} after 6s`);
+});
+
+test('more damping takes energy out faster', () => {
+    const loose = createJelloSim();
+    const damped = createJelloSim({ damping: 3.66 });
+    loose.poke(RIM_POKE);
+    damped.poke(RIM_POKE);
+
+    run(loose, 2);
+    run(damped, 2);
+
+    assert.ok(damped.energy() < loose.energy() * 0.5);
+});
+
+test('mirrored pokes give mirrored wobble', () => {
+    const right = createJelloSim();
+    const left = createJelloSim();
+    right.poke({ x: 0.6, y: 1, z: 0.2 }, { x: -0.6, y: -0.8, z: 0 });
+    left.poke({ x: -0.6, y: 1, z: 0.2 }, { x: 0.6, y: -0.8, z: 0 });
+
+    for (let i = 0; i < 8; i++) {
+        run(right, 0.25);
+        run(left, 0.25);
+
+        const r = right.wobble.springs;
+        const l = left.wobble.springs;
+        assertClose(l.tiltX.position, -r.tiltX.position, 1e-9, 'tiltX');
+        assertClose(l.tiltZ.position, r.tiltZ.position, 1e-9, 'tiltZ');
+        assertClose(l.squash.position, r.squash.position, 1e-9, 'squash');
+        assertClose(l.twist.position, -r.twist.position, 1e-9, 'twist');
+
+        for (const [x, y, z] of [[0.8, 1, 0.1], [0.3, 0.2, -0.6], [1.2, -0.5, 0.4]]) {
+            const a = right.sample(x, y, z);
+            const b = left.sample(-x, y, z);
+            assertClose(b.x, -a.x, 1e-6, `x at (${x}, ${y}, ${z})`);
+            assertClose(b.y, a.y, 1e-6, `y at (${x}, ${y}, ${z})`);
+            assertClose(b.z, a.z, 1e-6, `z at (${x}, ${y}, ${z})`);
+        }
+    }
+});
+
+test('a dead-centre poke squashes without tilting or twisting', () => {
+    const sim = createJelloSim();
+    sim.poke({ x: 0, y: 1, z: 0 }, DOWN);
+    run(sim, 0.5);
+
+    const { tiltX, tiltZ, squash, twist } = sim.wobble.springs;
+    assert.equal(tiltX.position, 0);
+    assert.equal(tiltZ.position, 0);
+    assert.equal(twist.position, 0);
+    assert.notEqual(squash.position, 0);
+
+    // Squash is the same all the way round
+    const east = sim.sample(1, 1, 0);
+    const north = sim.sample(0, 1, 1);
+    assertClose(Math.hypot(east.x, east.z), Math.hypot(north.x, north.z), 1e-6, 'radius');
+});
+
+test('a rim poke tips the top away from the finger, with the dent', () => {
+    const sim = createJelloSim();
+    sim.poke(RIM_POKE);
+    run(sim, 0.1);
+
+    const { tiltX, tiltZ } = sim.wobble.springs;
+    assert.ok(tiltX.position < 0 && tiltZ.position < 0, `tilt ${tiltX.position}, ${tiltZ.position}`);
+    assert.ok(sim.sample(0, 1, 0).x < 0, 'top should move away from the poked side');
+});
+
+test('the base stays put while the top wobbles', () => {
+    const sim = createJelloSim();
+    sim.poke(RIM_POKE);
+    run(sim, 0.3);
+
+    const base = sim.sample(0.9, -1, 0.3);
+    const top = sim.sample(0.9, 1, 0.3);
+    assertClose(base.x, 0.9, 1e-6, 'base x');
+    assertClose(base.z, 0.3, 1e-6, 'base z');
+    assert.ok(Math.hypot(top.x - 0.9, top.z - 0.3) > 0.01, 'top should move');
+});
+
+test('a plate shake leaves the top behind while the base goes along', () => {
+    const sim = createJelloSim();
+    sim.wobble.shake({ x: 1, z: 0 });
+    run(sim, 0.1);
+
+    assert.ok(sim.wobble.springs.tiltX.position < 0, 'top should lean against the shake');
+    assertClose(sim.wobble.springs.tiltZ.position, 0, 1e-9, 'tiltZ');
+
+    const base = sim.sample(0.9, -1, 0.3);
+    const top = sim.sample(0, 1, 0);
+    assertClose(base.x, 0.9, 1e-6, 'base x');
+    assert.ok(top.x < -0.01, `top should lag (${top.x})`);
+
+    // And it wobbles back out
+    run(sim, 8);
+    assert.ok(sim.energy() < 1e-4);
+});
+
+test('a rim poke settles within a few seconds, but not instantly', () => {
+    const sim = createJelloSim();
+    sim.poke(RIM_POKE);
+
+    let settledAt = null;
+    while (sim.time < 12) {
+        sim.step(FRAME);
+        if (sim.energy() < 1e-4) {
+            settledAt = sim.time;
+            break;
+        }
+    }
+
+    assert.ok(settledAt !== null, 'never settled');
+    assert.ok(settledAt > 2, `settled suspiciously fast (${settledAt}s)`);
+    assert.ok(settledAt < 8, `took ${settledAt}s to settle`);
+
+    // And stays settled
+    run(sim, 2);
+    assert.ok(sim.energy() < 1e-4);
+});
+
+test('the frame rate does not change the wobble', () => {
+    const slow = createJelloSim();
+    const fast = createJelloSim();
+    slow.poke(RIM_POKE);
+    fast.poke(RIM_POKE);
+
+    run(slow, 1, 1 / 30);
+    while (fast.wobble.stepCount < slow.wobble.stepCount) fast.step(1 / 144);
+
+    assert.equal(fast.wobble.stepCount, slow.wobble.stepCount);
+    assert.deepEqual(fast.wobble.springs, slow.wobble.springs);
+    assert.deepEqual(fast.sample(-1.1, 1, 0), slow.sample(-1.1, 1, 0));
+});
+
+test('soft-body slopes are flat at rest and follow a dent', () => {
+    const sim = createJelloSim();
+    const softBody = sim.wobble.softBody;
+    const vertices = new Float32Array([0.3, 1, 0.2, -0.6, 0, 0.5]);
+    const binding = softBody.bindVertices(vertices);
+    const offsets = new Float32Array(6);
+    const slopes = new Float32Array(18);
+
+    softBody.writeOffsets(binding, offsets);
+    softBody.writeSlopes(binding, offsets, slopes);
+    assert.ok(slopes.every(value => value === 0));
+
+    sim.poke({ x: 0.3, y: 1, z: 0.2 }, DOWN);
+    run(sim, 0.05);
+    softBody.writeOffsets(binding, offsets);
+    softBody.writeSlopes(binding, offsets, slopes);
+    assert.ok(slopes.some(value => Math.abs(value) > 1e-3));
+
+    // Each column is the change in displacement along its axis, towards the middle
+    const at = softBody.sampleDisplacement(0.3, 1, 0.2);
+    const along = [[0.25, 1, 0.2], [0.3, 0.95, 0.2], [0.3, 1, 0.15]];
+    along.forEach((point, axis) => {
+        const there = softBody.sampleDisplacement(...point);
+        assertClose(slopes[axis * 3 + 1], (there.y - at.y) / -0.05, 1e-4, `d/d${'xyz'[axis]}`);
+    });
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { splitGeometry, scoopGeometry, planeDistance, footprint, footprintArea, separationBetween } from '../jello-slice.js';
+import { openEdges } from './geometry-helpers.js';
+
+const PLANE = { x: 0.6, z: 0.8, offset: 0.3 };
+
+function cylinder() {
+    return new THREE.CylinderGeometry(1.1, 1.5, 2, 32, 8);
+}
+
+test('a cut leaves two closed pieces, one on each side', () => {
+    const { front, back } = splitGeometry(cylinder(), PLANE);
+
+    assert.equal(openEdges(front), 0);
+    assert.equal(openEdges(back), 0);
+
+    const sides = (geometry) => {
+        const positions = geometry.attributes.position;
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < positions.count; i++) {
+            const d = planeDistance(PLANE, positions.getX(i), positions.getZ(i));
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+        }
+        return { min, max };
+    };
+    assert.ok(sides(front).min > -1e-5);
+    assert.ok(sides(back).max < 1e-5);
+});
+
+test('the pieces add up to the whole footprint', () => {
+    const whole = footprintArea(footprint(cylinder()));
+    const { front, back } = splitGeometry(cylinder(), PLANE);
+
+    const parts = footprintArea(footprint(front)) + footprintArea(footprint(back));
+    assert.ok(Math.abs(parts - whole) < whole * 1e-3, `${parts} vs ${whole}`);
+});
+
+test('a piece can be cut again', () => {
+    const { front } = splitGeometry(cylinder(), PLANE);
+    const again = splitGeometry(front, { x: -0.8, z: 0.6, offset: 0 });
+
+    assert.ok(again);
+    assert.equal(openEdges(again.front), 0);
+    assert.equal(openEdges(again.back), 0);
+});
+
+test('a cut through the axis, where vertices and edges lie in the plane, leaves closed pieces', () => {
+    for (const plane of [{ x: 1, z: 0, offset: 0 }, { x: 0, z: 1, offset: 0 }]) {
+        const { front, back } = splitGeometry(cylinder(), plane);
+
+        assert.equal(openEdges(front), 0);
+        assert.equal(openEdges(back), 0);
+    }
+});
+
+test('a plane that misses, or only shaves the edge, does not cut', () => {
+    assert.equal(splitGeometry(cylinder(), { x: 1, z: 0, offset: 2 }), null);
+    assert.equal(splitGeometry(cylinder(), { x: 1, z: 0, offset: 1.499 }), null);
+});
+
+test('overlapping footprints are pushed apart, apart ones are left alone', () => {
+    const square = (x, z) => [
+        { x: x - 1, z: z - 1 }, { x: x + 1, z: z - 1 }, { x: x + 1, z: z + 1 }, { x: x - 1, z: z + 1 }
+    ];
+
+    const push = separationBetween(square(0, 0), square(1.5, 0.2));
+    assert.ok(Math.abs(push.x - 0.5) < 1e-9 && Math.abs(push.z) < 1e-9, JSON.stringify(push));
+    assert.equal(separationBetween(square(0, 0), square(3, 0)), null);
+});
+
+test('a spoonful leaves a closed crater with nothing left inside the bite', () => {
+    const bite = { centre: { x: 0, y: 0.95, z: 1.05 }, radius: 0.3, direction: { x: 0, y: -0.6, z: -0.8 } };
+    const scooped = scoopGeometry(cylinder(), bite);
+
+    assert.equal(openEdges(scooped), 0);
+
+    const positions = scooped.attributes.position;
+    let onCrater = 0;
+    for (let i = 0; i < positions.count; i++) {
+        const distance = Math.hypot(
+            positions.getX(i) - bite.centre.x,
+            positions.getY(i) - bite.centre.y,
+            positions.getZ(i) - bite.centre.z
+        );
+        assert.ok(distance > bite.radius - 1e-5, `vertex ${i} still inside the bite`);
+        if (distance < bite.radius + 1e-5) onCrater++;
+    }
+    assert.ok(onCrater > 20, `crater is too coarse (${onCrater} vertices)`);
+});
+
+test('a spoon that misses the jello takes nothing', () => {
+    const bite = { centre: { x: 0, y: 0, z: 3 }, radius: 0.3, direction: { x: 0, y: 0, z: -1 } };
+    assert.equal(scoopGeometry(cylinder(), bite), null);
+});
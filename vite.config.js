@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite';
+
+// Cross-origin isolation lets the physics worker share memory with the page
+// (SharedArrayBuffer). Without these headers the physics runs on the main thread.
+const isolationHeaders = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'require-corp'
+};
+
+export default defineConfig({
+    server: {
+        headers: isolationHeaders
+    },
+    preview: {
+        headers: isolationHeaders
+    },
+    worker: {
+        format: 'es'
+    }
+});